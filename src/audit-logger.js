@@ -2,13 +2,66 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
+const { redactSecrets } = require('./utils');
+
+// previousHash of the first entry of a new chain
+const GENESIS_HASH = '0'.repeat(64);
+// Read at most this much from the end of a log to find its last entry
+const TAIL_READ_LENGTH = 64 * 1024;
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const readHmacKey = (keyFile) => {
+  const stats = fs.statSync(keyFile);
+  if ((stats.mode & 0o077) !== 0) {
+    console.warn(`⚠️  WARNING: Audit HMAC key file ${keyFile} is readable by other users. Run: chmod 600 ${keyFile}`);
+  }
+  
+  const key = fs.readFileSync(keyFile, 'utf8').trim();
+  if (key.length === 0) {
+    throw new Error(`Audit HMAC key file is empty: ${keyFile}`);
+  }
+  
+  return key;
+};
+
+// Return the last non-empty line of a file without reading all of it
+const readLastLine = (filePath) => {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  
+  const { size } = fs.statSync(filePath);
+  const length = Math.min(size, TAIL_READ_LENGTH);
+  const buffer = Buffer.alloc(length);
+  const fd = fs.openSync(filePath, 'r');
+  
+  try {
+    fs.readSync(fd, buffer, 0, length, size - length);
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  const lines = buffer.toString('utf8').split('\n').filter(line => line.trim().length > 0);
+  return lines.length > 0 ? lines[lines.length - 1] : null;
+};
 
 class AuditLogger {
   constructor(options = {}) {
+    this.enabled = options.enabled !== false;
     this.logFile = options.logFile || path.join(process.cwd(), 'backup-audit.log');
     this.maxFileSize = options.maxFileSize || 10 * 1024 * 1024; // 10MB
     this.maxFiles = options.maxFiles || 5;
-    this.sessionId = crypto.randomBytes(8).toString('hex');
+    this.hmacKeyFile = options.hmacKeyFile || null;
+    // Share the session ID of the backup run so audit events can be correlated with it
+    this.sessionId = options.sessionId || crypto.randomBytes(8).toString('hex');
+    // Secret values resolved from the environment or secret files, masked wherever they appear
+    this.secrets = options.secrets || [];
+    
+    // A disabled audit logger accepts events but never touches the file system
+    if (!this.enabled) {
+      return;
+    }
     
     // Ensure audit log directory exists with proper permissions
     const logDir = path.dirname(this.logFile);
@@ -20,12 +73,56 @@ class AuditLogger {
     if (!fs.existsSync(this.logFile)) {
       fs.writeFileSync(this.logFile, '', { mode: 0o640 });
     }
+    
+    this.hmacKey = this.hmacKeyFile ? readHmacKey(this.hmacKeyFile) : null;
+    this.restoreChainState();
+  }
+
+  rotatedFilePath(index) {
+    const logDir = path.dirname(this.logFile);
+    const logExtension = path.extname(this.logFile);
+    const logBasename = path.basename(this.logFile, logExtension);
+    
+    return path.join(logDir, `${logBasename}.${index}${logExtension}`);
+  }
+
+  /**
+   * Continue the hash chain from the last entry written, which may sit in the
+   * most recently rotated file if the current one is still empty
+   */
+  restoreChainState() {
+    const lastLine = readLastLine(this.logFile) || readLastLine(this.rotatedFilePath(1));
+    
+    this.previousHash = GENESIS_HASH;
+    this.sequence = 0;
+    
+    if (!lastLine) {
+      return;
+    }
+    
+    try {
+      const lastEntry = JSON.parse(lastLine);
+      if (lastEntry.hash) {
+        this.previousHash = lastEntry.hash;
+        this.sequence = lastEntry.sequence || 0;
+        return;
+      }
+    } catch (error) {
+      // Fall through: chain to the raw text of the entry
+    }
+    
+    // Entries written before chaining was introduced are linked by the hash of their raw text
+    this.previousHash = sha256(lastLine);
   }
 
   /**
    * Log security-relevant events for audit trail
    */
   logEvent(eventType, details = {}) {
+    if (!this.enabled) {
+      return;
+    }
+    
     const timestamp = new Date().toISOString();
     const eventId = crypto.randomBytes(4).toString('hex');
     
@@ -33,6 +130,7 @@ class AuditLogger {
       timestamp,
       sessionId: this.sessionId,
       eventId,
+      sequence: this.sequence + 1,
       eventType,
       process: {
         pid: process.pid,
@@ -45,8 +143,16 @@ class AuditLogger {
         platform: os.platform(),
         arch: os.arch()
       },
-      details: this.sanitizeDetails(details)
+      details: this.sanitizeDetails(details),
+      previousHash: this.previousHash
     };
+    
+    // Each entry commits to its predecessor, so edits, deletions and reordering break the chain
+    const payload = JSON.stringify(auditEvent);
+    auditEvent.hash = sha256(payload);
+    if (this.hmacKey) {
+      auditEvent.hmac = crypto.createHmac('sha256', this.hmacKey).update(payload).digest('hex');
+    }
 
     const logEntry = JSON.stringify(auditEvent) + '\n';
     
@@ -56,6 +162,9 @@ class AuditLogger {
       
       // Append to log file
       fs.appendFileSync(this.logFile, logEntry, { mode: 0o640 });
+      
+      this.previousHash = auditEvent.hash;
+      this.sequence = auditEvent.sequence;
     } catch (error) {
       // Fallback to stderr if audit log fails
       console.error(`Audit logging failed: ${error.message}`);
@@ -79,6 +188,9 @@ class AuditLogger {
       'accessKeyId', 'secretAccessKey', 'connectionString'
     ];
     
+    // Object keys are locations, not secrets
+    const safeFields = ['s3Key'];
+    
     const maskSensitiveValue = (obj, path = '') => {
       if (typeof obj !== 'object' || obj === null) {
         return obj;
@@ -89,13 +201,15 @@ class AuditLogger {
       for (const [key, value] of Object.entries(obj)) {
         const fullPath = path ? `${path}.${key}` : key;
         
-        if (sensitiveFields.some(field => 
+        if (!safeFields.includes(key) && sensitiveFields.some(field => 
           key.toLowerCase().includes(field.toLowerCase()) ||
           fullPath.toLowerCase().includes(field.toLowerCase())
         )) {
           result[key] = value ? '[REDACTED]' : value;
         } else if (typeof value === 'object' && value !== null) {
           result[key] = maskSensitiveValue(value, fullPath);
+        } else if (typeof value === 'string') {
+          result[key] = redactSecrets(value, this.secrets);
         } else {
           result[key] = value;
         }
@@ -122,14 +236,10 @@ class AuditLogger {
   }
 
   rotateLogFiles() {
-    const logDir = path.dirname(this.logFile);
-    const logBasename = path.basename(this.logFile, path.extname(this.logFile));
-    const logExtension = path.extname(this.logFile);
-
     // Shift existing log files
     for (let i = this.maxFiles - 1; i >= 1; i--) {
-      const oldFile = path.join(logDir, `${logBasename}.${i}${logExtension}`);
-      const newFile = path.join(logDir, `${logBasename}.${i + 1}${logExtension}`);
+      const oldFile = this.rotatedFilePath(i);
+      const newFile = this.rotatedFilePath(i + 1);
       
       if (fs.existsSync(oldFile)) {
         if (i === this.maxFiles - 1) {
@@ -142,13 +252,131 @@ class AuditLogger {
     }
 
     // Move current log to .1
-    const rotatedFile = path.join(logDir, `${logBasename}.1${logExtension}`);
-    fs.renameSync(this.logFile, rotatedFile);
+    fs.renameSync(this.logFile, this.rotatedFilePath(1));
     
     // Create new log file
     fs.writeFileSync(this.logFile, '', { mode: 0o640 });
   }
 
+  /**
+   * Walk the rotated and current log files from oldest to newest and report
+   * the first entry that breaks the hash chain
+   */
+  static verifyChain(options = {}) {
+    // A disabled instance only resolves file names and never writes
+    const auditLogger = new AuditLogger({ ...options, enabled: false });
+    const hmacKey = options.hmacKeyFile ? readHmacKey(options.hmacKeyFile) : null;
+    const logDir = path.dirname(auditLogger.logFile);
+    const logExtension = path.extname(auditLogger.logFile);
+    const logBasename = path.basename(auditLogger.logFile, logExtension);
+    
+    const report = {
+      valid: true,
+      files: [],
+      entries: 0,
+      legacyEntries: 0,
+      firstSequence: null,
+      error: null
+    };
+    
+    const fail = (file, line, reason) => {
+      report.valid = false;
+      report.error = { file, line, reason };
+      return report;
+    };
+    
+    const rotatedIndexes = (fs.existsSync(logDir) ? fs.readdirSync(logDir) : [])
+      .filter(name => name.startsWith(`${logBasename}.`) && name.endsWith(logExtension))
+      .map(name => name.slice(logBasename.length + 1, name.length - logExtension.length))
+      .filter(index => /^\d+$/.test(index))
+      .map(Number)
+      .sort((a, b) => a - b);
+    
+    // Rotation always fills .1, .2, ... without gaps
+    const newestRotated = rotatedIndexes.length > 0 ? rotatedIndexes[rotatedIndexes.length - 1] : 0;
+    for (let index = 1; index <= newestRotated; index++) {
+      if (!rotatedIndexes.includes(index)) {
+        return fail(auditLogger.rotatedFilePath(index), null, 'rotated log file is missing');
+      }
+    }
+    
+    if (!fs.existsSync(auditLogger.logFile)) {
+      return fail(auditLogger.logFile, null, 'audit log file is missing');
+    }
+    
+    const files = [
+      ...rotatedIndexes.reverse().map(index => auditLogger.rotatedFilePath(index)),
+      auditLogger.logFile
+    ];
+    
+    let previous = null;
+    let chained = false;
+    
+    for (const file of files) {
+      report.files.push(file);
+      const lines = fs.readFileSync(file, 'utf8').split('\n');
+      
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const lineNumber = i + 1;
+        
+        if (line.trim().length === 0) {
+          continue;
+        }
+        
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          return fail(file, lineNumber, 'entry is not valid JSON');
+        }
+        
+        if (!entry.hash) {
+          // Entries from before chaining was introduced may only precede the chain
+          if (chained) {
+            return fail(file, lineNumber, 'entry is missing its hash');
+          }
+          report.legacyEntries++;
+          previous = { hash: sha256(line), sequence: null };
+          continue;
+        }
+        
+        const { hash, hmac, ...event } = entry;
+        const payload = JSON.stringify(event);
+        
+        if (sha256(payload) !== hash) {
+          return fail(file, lineNumber, 'entry was modified (hash mismatch)');
+        }
+        
+        if (hmacKey) {
+          const expectedHmac = crypto.createHmac('sha256', hmacKey).update(payload).digest('hex');
+          if (hmac !== expectedHmac) {
+            return fail(file, lineNumber, hmac ? 'HMAC mismatch' : 'entry has no HMAC');
+          }
+        }
+        
+        if (previous && previous.sequence !== null && event.sequence !== previous.sequence + 1) {
+          return fail(file, lineNumber, `events out of order: expected sequence ${previous.sequence + 1}, found ${event.sequence}`);
+        }
+        
+        // The oldest surviving entry's predecessor may have been rotated away
+        if (previous && event.previousHash !== previous.hash) {
+          return fail(file, lineNumber, 'broken link: previousHash does not match the preceding entry');
+        }
+        
+        if (report.firstSequence === null) {
+          report.firstSequence = event.sequence;
+        }
+        
+        chained = true;
+        previous = { hash, sequence: event.sequence };
+        report.entries++;
+      }
+    }
+    
+    return report;
+  }
+
   // Predefined audit event types for backup operations
 
   logBackupStart(config) {
@@ -156,6 +384,7 @@ class AuditLogger {
       configPath: config.configPath,
       s3Bucket: config.s3?.bucket,
       s3Region: config.s3?.region,
+      destinations: config.destinations?.map(destination => destination.name) || [],
       directoryCount: config.directories?.length || 0,
       databaseCount: config.databases?.length || 0
     });
@@ -163,7 +392,10 @@ class AuditLogger {
 
   logBackupComplete(result) {
     this.logEvent('BACKUP_COMPLETE', {
+      status: result.status,
       backupCount: result.backups,
+      failedCount: result.targets?.filter(target => target.status === 'failed').length || 0,
+      skippedCount: result.targets?.filter(target => target.status === 'skipped').length || 0,
       totalSize: result.totalSize,
       uploadCount: result.uploads?.length || 0,
       duration: result.duration
@@ -223,15 +455,46 @@ class AuditLogger {
     });
   }
 
-  logS3Upload(fileName, s3Key, success, size = 0) {
-    this.logEvent('S3_UPLOAD', {
+  // destination is { name, type } of the storage backend, e.g. { name: 'nas', type: 'local' }
+  logStorageUpload(destination, fileName, key, success, size = 0) {
+    this.logEvent('STORAGE_UPLOAD', {
+      destination: destination.name,
+      destinationType: destination.type,
       fileName,
-      s3Key,
+      s3Key: key,
       success,
       size
     });
   }
 
+  logStorageDelete(destination, key, success) {
+    this.logEvent('STORAGE_DELETE', {
+      destination: destination.name,
+      destinationType: destination.type,
+      s3Key: key,
+      success
+    });
+  }
+
+  logNotification(hook, type, runStatus, success) {
+    this.logEvent('NOTIFICATION', {
+      hook,
+      type, // 'webhook', 'command'
+      runStatus,
+      success
+    });
+  }
+
+  // target is null for the run's own hooks
+  logHook(command, stage, target, success) {
+    this.logEvent('HOOK', {
+      command,
+      stage, // 'pre', 'post'
+      target,
+      success
+    });
+  }
+
   logRetentionCleanup(deletedCount, errors = []) {
     this.logEvent('RETENTION_CLEANUP', {
       deletedCount,
@@ -0,0 +1,192 @@
+const AuditLogger = require('./audit-logger');
+const { INDEX_EXTENSION } = require('./utils');
+
+// ISO 8601 week of a local date, e.g. 2026-W02
+const isoWeek = (date) => {
+  const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+  // The ISO year is the year of the week's Thursday
+  day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+  const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+// Each rule keeps the newest run of its N most recent buckets that have runs
+const RULES = [
+  { name: 'daily', bucket: (run) => run.timestamp.slice(0, 10) },
+  { name: 'weekly', bucket: (run) => isoWeek(run.date) },
+  { name: 'monthly', bucket: (run) => run.timestamp.slice(0, 7) }
+];
+
+class BackupPruner {
+  constructor(storage, logger, auditLogger = new AuditLogger({ enabled: false })) {
+    this.storage = storage;
+    this.logger = logger;
+    this.auditLogger = auditLogger;
+  }
+
+  // Incremental targets of a run, with the timestamp of the full backup their chain starts at
+  async chainBases(run) {
+    // A run that is only planned has uploaded nothing yet and brings its bases along
+    if (run.bases) {
+      return run.bases;
+    }
+    
+    const manifestObject = run.objects.find(object => object.Key.includes('/manifests/'));
+    
+    if (manifestObject) {
+      const manifest = await this.storage.getManifest(manifestObject.Key);
+      return manifest.targets
+        .filter(target => target.mode === 'incremental')
+        .map(target => ({ name: target.name, base: target.base }));
+    }
+    
+    // A run that never uploaded its manifest may still have index files
+    const bases = [];
+    for (const indexObject of run.objects.filter(object => object.Key.endsWith(INDEX_EXTENSION))) {
+      const index = await this.storage.getIndex(indexObject.Key);
+      if (index.mode === 'incremental') {
+        bases.push({ name: index.name, base: index.base });
+      }
+    }
+    
+    return bases;
+  }
+
+  // Decide which runs to keep, newest first, with the reasons for every decision.
+  // Runs of different schedules may hold different targets, so the rules are applied to
+  // each target's runs separately; a run is kept whole if any of its targets keeps it.
+  // options.pendingRun adds a run about to be uploaded, to plan cleanup after it.
+  async plan(retention, options = {}) {
+    const { pendingRun } = options;
+    const runs = [...(pendingRun ? [pendingRun] : []), ...await this.storage.listRuns()];
+    const runTargets = new Map(runs.map(run => [
+      run.timestamp,
+      new Set(run.objects.map(object => object.Key.split('/')[1]).filter(name => name !== 'manifests'))
+    ]));
+    // Per run, the targets each rule bucket keeps it for
+    const keptBy = new Map(runs.map(run => [run.timestamp, new Map()]));
+    const keep = (run, reason, target) => {
+      const targets = keptBy.get(run.timestamp);
+      if (!targets.has(reason)) {
+        targets.set(reason, new Set());
+      }
+      targets.get(reason).add(target);
+    };
+    
+    for (const target of new Set(runs.flatMap(run => [...runTargets.get(run.timestamp)]))) {
+      const targetRuns = runs.filter(run => runTargets.get(run.timestamp).has(target));
+      
+      // Never prune a target's newest run, whatever the policy says
+      keep(targetRuns[0], 'latest run', target);
+      
+      RULES.forEach(rule => {
+        const limit = retention[rule.name] || 0;
+        const buckets = new Set();
+        
+        for (const run of targetRuns) {
+          if (buckets.size >= limit) {
+            break;
+          }
+          
+          const bucket = rule.bucket(run);
+          if (!buckets.has(bucket)) {
+            buckets.add(bucket);
+            keep(run, `${rule.name} ${bucket}`, target);
+          }
+        }
+      });
+    }
+    
+    // Name the targets only when a reason does not hold for the whole run
+    const reasons = new Map(runs.map(run => [
+      run.timestamp,
+      [...keptBy.get(run.timestamp)].map(([reason, targets]) => (
+        targets.size === runTargets.get(run.timestamp).size ? reason : `${reason} for ${[...targets].join(', ')}`
+      ))
+    ]));
+    
+    // Kept incremental runs need every earlier run of their chain back to its full
+    // backup. Runs are visited newest first, so each is credited to the newest run needing it.
+    const pending = runs
+      .filter(run => reasons.get(run.timestamp).length > 0)
+      .map(run => ({ run, keptFor: run }));
+    
+    while (pending.length > 0) {
+      const { run, keptFor } = pending.shift();
+      
+      for (const { name, base } of await this.chainBases(run)) {
+        const prefix = `${this.storage.projectName}/${name}/`;
+        
+        runs
+          .filter(candidate => candidate.timestamp >= base && candidate.timestamp < run.timestamp)
+          .filter(candidate => candidate.objects.some(object => object.Key.startsWith(prefix)))
+          .forEach(candidate => {
+            const candidateReasons = reasons.get(candidate.timestamp);
+            if (candidateReasons.length === 0) {
+              pending.push({ run: candidate, keptFor });
+            }
+            if (!candidateReasons.some(reason => reason.startsWith(`chain of ${name} `))) {
+              candidateReasons.push(`chain of ${name} in ${keptFor.timestamp}`);
+            }
+          });
+      }
+    }
+    
+    const policy = RULES.map(rule => `${rule.name} ${retention[rule.name] || 0}`).join(', ');
+    
+    return runs.map(run => {
+      const keep = reasons.get(run.timestamp).length > 0;
+      
+      return {
+        timestamp: run.timestamp,
+        keep,
+        reasons: keep ? reasons.get(run.timestamp) : [`outside retention (${policy})`],
+        objects: run.objects.map(object => object.Key),
+        size: run.size
+      };
+    });
+  }
+
+  // Delete every run the retention policy does not keep, one whole run at a time
+  async prune(retention, options = {}) {
+    const { dryRun = false } = options;
+    const runs = await this.plan(retention);
+    const removed = runs.filter(run => !run.keep);
+    
+    if (dryRun) {
+      return { dryRun, runs, deletedRuns: 0, deletedCount: 0 };
+    }
+    
+    let deletedRuns = 0;
+    let deletedCount = 0;
+    const errors = [];
+    
+    for (const run of removed) {
+      try {
+        await this.storage.deleteBackups(run.objects);
+        deletedRuns++;
+        deletedCount += run.objects.length;
+        this.logger.info(`Pruned run ${run.timestamp} from ${this.storage.name} (${run.objects.length} objects)`);
+      } catch (error) {
+        errors.push(error.message);
+        this.logger.error(`Failed to prune run ${run.timestamp} from ${this.storage.name}: ${error.message}`);
+      }
+    }
+    
+    this.auditLogger.logRetentionCleanup(deletedCount, errors);
+    
+    if (errors.length > 0) {
+      throw new Error(`Failed to prune ${errors.length} of ${removed.length} run(s): ${errors[0]}`);
+    }
+    
+    if (deletedRuns > 0) {
+      this.logger.info(`Pruned ${deletedRuns} run(s), ${deletedCount} object(s) of project ${this.storage.projectName} from ${this.storage.name}`);
+    }
+    
+    return { dryRun, runs, deletedRuns, deletedCount };
+  }
+}
+
+module.exports = BackupPruner;
\ No newline at end of file
@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { sanitizeString, sanitizeFilePath } = require('./config');
+const { INDEX_EXTENSION } = require('./utils');
+
+// Directory archive of a run, e.g. uploads_2026-01-15_02-00-00.tar.zst
+const DIRECTORY_ARCHIVE_PATTERN = /_(\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2})\.tar(\.gz|\.zst)?$/;
+
+class BackupRestore {
+  constructor(config, storage, directoryBackup, databaseBackup, logger) {
+    this.config = config;
+    this.storage = storage;
+    this.directoryBackup = directoryBackup;
+    this.databaseBackup = databaseBackup;
+    this.logger = logger;
+  }
+
+  // Look up a backup target by name in the configuration
+  findTarget(targetName) {
+    const directory = this.config.directories.find(dir => dir.name === targetName);
+    if (directory) {
+      return { type: 'directory', config: directory };
+    }
+    
+    const database = this.config.databases.find(db => db.name === targetName);
+    if (database) {
+      return { type: 'database', config: database };
+    }
+    
+    throw new Error(`Unknown backup target: ${targetName}`);
+  }
+
+  async restore(options, tempDir) {
+    const { target, timestamp = 'latest', destination, ifExists = 'overwrite', database } = options;
+    const { type, config } = this.findTarget(target);
+    
+    if (type === 'directory' && !destination) {
+      throw new Error(`A destination path is required to restore directory ${target}`);
+    }
+    
+    const backup = await this.storage.findBackup(target, timestamp);
+    this.logger.info(`Selected backup ${backup.Key} for ${target}`);
+    
+    // Incremental runs have a file index next to their archive
+    if (type === 'directory') {
+      const indexKey = backup.Key.replace(/\.tar(\.gz|\.zst)?$/, INDEX_EXTENSION);
+      if (await this.storage.hasObject(indexKey)) {
+        return this.restoreChain(target, backup, indexKey, destination, ifExists, tempDir);
+      }
+    }
+    
+    const archivePath = path.join(tempDir, sanitizeString(path.basename(backup.Key)));
+    await this.storage.downloadFile(backup.Key, archivePath);
+    
+    const restored = type === 'directory'
+      ? await this.directoryBackup.restoreDirectory(archivePath, destination, { ifExists })
+      : await this.databaseBackup.restoreDatabase(config, archivePath, { database });
+    
+    return {
+      target,
+      type,
+      s3Key: backup.Key,
+      size: backup.Size,
+      ...restored
+    };
+  }
+
+  // Rebuild a directory from the archives its run's index refers to, oldest first,
+  // extracting from each only the entries whose current content it holds
+  async restoreChain(target, backup, indexKey, destination, ifExists, tempDir) {
+    const index = await this.storage.getIndex(indexKey);
+    const pathsByArchive = new Map();
+    
+    index.entries.forEach(entry => {
+      if (!pathsByArchive.has(entry.archive)) {
+        pathsByArchive.set(entry.archive, new Set());
+      }
+      pathsByArchive.get(entry.archive).add(entry.path);
+    });
+    
+    // Timestamps sort chronologically as strings
+    const archiveTimestamps = [...pathsByArchive.keys()].sort();
+    this.logger.info(`Restoring ${target} from ${archiveTimestamps.length} archive(s) of its ${index.mode} backup chain`);
+    
+    // The archives of a chain may have been written with different compression
+    const archiveKeys = new Map();
+    (await this.storage.listBackups(`${path.posix.dirname(backup.Key)}/`)).forEach(object => {
+      const match = path.basename(object.Key).match(DIRECTORY_ARCHIVE_PATTERN);
+      if (match && path.basename(object.Key) === `${sanitizeString(target)}${match[0]}`) {
+        archiveKeys.set(match[1], object.Key);
+      }
+    });
+    
+    let entries = 0;
+    
+    for (const archiveTimestamp of archiveTimestamps) {
+      const s3Key = archiveKeys.get(archiveTimestamp);
+      if (!s3Key) {
+        throw new Error(`Archive ${archiveTimestamp} of the backup chain of ${target} is missing`);
+      }
+      const archivePath = path.join(tempDir, path.basename(s3Key));
+      
+      await this.storage.downloadFile(s3Key, archivePath);
+      
+      try {
+        const restored = await this.directoryBackup.restoreDirectory(archivePath, destination, {
+          ifExists,
+          paths: pathsByArchive.get(archiveTimestamp)
+        });
+        entries += restored.entries;
+      } finally {
+        fs.unlinkSync(archivePath);
+      }
+    }
+    
+    return {
+      target,
+      type: 'directory',
+      s3Key: backup.Key,
+      size: backup.Size,
+      path: sanitizeFilePath(destination),
+      entries,
+      archives: archiveTimestamps.length
+    };
+  }
+}
+
+module.exports = BackupRestore;
\ No newline at end of file
@@ -0,0 +1,378 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { INDEX_EXTENSION, generateTimestamp, parseTimestampFromFilename, hashFile } = require('./utils');
+const AuditLogger = require('./audit-logger');
+const ArchiveEncryption = require('./encryption');
+
+/**
+ * Backups, manifests and file indexes of one project on one destination. Subclasses
+ * implement the storage primitives; everything else is shared by all backends.
+ *
+ * Primitives, with keys of the form <project>/<target>/<file>:
+ * - put(key, body, { metadata, contentType }): store a stream or buffer, resolving to { location }
+ * - get(key): { body, metadata, size } of an object, rejecting if it does not exist
+ * - head(key): { metadata, size, lastModified } of an object, or null if it does not exist
+ * - list(prefix): every object under a prefix, as [{ Key, Size, LastModified }]
+ * - delete(keys): remove objects, resolving to a Map of the keys that failed to their error
+ *
+ * Backends may also override putFile(key, filePath, { metadata }), which streams the file,
+ * encrypted if enabled, through put, and abortStaleUploads(), which has nothing to clean up.
+ */
+class BackupStorage {
+  constructor(destination, projectName, logger, auditLogger = new AuditLogger({ enabled: false }), encryption = new ArchiveEncryption()) {
+    // { name, type } of this destination, for logs and the audit trail
+    this.destination = destination;
+    this.name = destination.name;
+    this.projectName = projectName;
+    this.logger = logger;
+    this.auditLogger = auditLogger;
+    this.encryption = encryption;
+  }
+
+  async put() {
+    throw new Error(`${this.constructor.name} does not implement put`);
+  }
+
+  async get() {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  async head() {
+    throw new Error(`${this.constructor.name} does not implement head`);
+  }
+
+  async list() {
+    throw new Error(`${this.constructor.name} does not implement list`);
+  }
+
+  async delete() {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  // Key a file of a target is stored under
+  backupKey(targetName, fileName) {
+    return `${this.projectName}/${targetName}/${fileName}`;
+  }
+
+  // Key the manifest of a run is stored under
+  manifestKey(timestamp) {
+    return `${this.projectName}/manifests/manifest_${timestamp}.json`;
+  }
+
+  // Store a local file, encrypting it client-side as it streams out if encryption is enabled,
+  // so plaintext never reaches the destination
+  async putFile(key, filePath, options = {}) {
+    const fileStream = fs.createReadStream(filePath);
+    let body = fileStream;
+    let metadata = options.metadata || {};
+    
+    try {
+      if (this.encryption.enabled) {
+        const { stream, metadata: encryptionMetadata } = await this.encryption.createEncryptStream();
+        fileStream.on('error', (error) => stream.destroy(error));
+        body = fileStream.pipe(stream);
+        metadata = { ...metadata, ...encryptionMetadata };
+      }
+      
+      return await this.put(key, body, { ...options, metadata });
+    } finally {
+      fileStream.destroy();
+    }
+  }
+
+  // Remove what interrupted uploads left behind; resolves to the number of uploads removed
+  async abortStaleUploads() {
+    return 0;
+  }
+
+  async uploadFile(filePath, s3Key, metadata = {}) {
+    const fileName = path.basename(filePath);
+    
+    this.logger.info(`Uploading ${fileName} to ${this.name}...`);
+    
+    try {
+      const { location } = await this.putFile(s3Key, filePath, { metadata });
+      
+      const size = fs.statSync(filePath).size;
+      
+      this.logger.info(`Successfully uploaded ${fileName} to ${location}`);
+      this.auditLogger.logStorageUpload(this.destination, fileName, s3Key, true, size);
+      
+      return {
+        fileName,
+        s3Key,
+        location,
+        size,
+        encrypted: this.encryption.enabled,
+        destination: this.name
+      };
+    } catch (error) {
+      this.auditLogger.logStorageUpload(this.destination, fileName, s3Key, false);
+      throw new Error(`Failed to upload ${fileName} to ${this.name}: ${error.message}`);
+    }
+  }
+
+  // Upload of a file the destination already holds with the same checksum, or null
+  async findStored(filePath, s3Key, sha256) {
+    const object = await this.head(s3Key);
+    if (!object || object.metadata.sha256 !== sha256) {
+      return null;
+    }
+    
+    const fileName = path.basename(filePath);
+    this.logger.info(`${fileName} is already stored on ${this.name}`);
+    
+    return {
+      fileName,
+      s3Key,
+      size: fs.statSync(filePath).size,
+      encrypted: ArchiveEncryption.isEncrypted(object.metadata),
+      destination: this.name
+    };
+  }
+
+  // Upload one backup archive, and its file index if it has one. Archives an interrupted run
+  // resumes with may already be stored, and are then not uploaded again.
+  async uploadBackup(backup) {
+    const s3Key = this.backupKey(backup.name, path.basename(backup.path));
+    
+    try {
+      // The checksum travels with the object so it can be verified without the manifest
+      const sha256 = await hashFile(backup.path);
+      const result = (backup.resumed && await this.findStored(backup.path, s3Key, sha256))
+        || await this.uploadFile(backup.path, s3Key, { sha256 });
+      
+      // The index goes up only after its archive, so a listed index is always restorable
+      let index = {};
+      if (backup.indexPath) {
+        const indexS3Key = this.backupKey(backup.name, path.basename(backup.indexPath));
+        const indexSha256 = await hashFile(backup.indexPath);
+        if (!(backup.resumed && await this.findStored(backup.indexPath, indexS3Key, indexSha256))) {
+          await this.uploadFile(backup.indexPath, indexS3Key, { sha256: indexSha256 });
+        }
+        index = { indexS3Key, indexSize: fs.statSync(backup.indexPath).size, indexSha256 };
+      }
+      
+      return { ...result, name: backup.name, sha256, ...index };
+    } catch (error) {
+      this.logger.error(`Failed to upload backup ${backup.name}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Upload the JSON manifest that ties all archives of a run together
+  async uploadManifest(manifest) {
+    const s3Key = this.manifestKey(manifest.timestamp);
+    const body = Buffer.from(JSON.stringify(manifest, null, 2));
+    
+    try {
+      await this.put(s3Key, body, { contentType: 'application/json' });
+      this.logger.info(`Uploaded run manifest to ${this.name}: ${s3Key}`);
+      this.auditLogger.logStorageUpload(this.destination, path.basename(s3Key), s3Key, true, body.length);
+      
+      return { s3Key };
+    } catch (error) {
+      this.auditLogger.logStorageUpload(this.destination, path.basename(s3Key), s3Key, false);
+      throw new Error(`Failed to upload manifest to ${this.name}: ${error.message}`);
+    }
+  }
+
+  // List run manifests, newest first
+  async listManifests() {
+    const objects = await this.listBackups(`${this.projectName}/manifests/`);
+    
+    return objects
+      .map(object => ({
+        ...object,
+        timestamp: parseTimestampFromFilename(path.basename(object.Key))
+      }))
+      .filter(object => object.timestamp !== null)
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  async getManifest(s3Key) {
+    const { body } = await this.getObjectStream(s3Key);
+    const chunks = [];
+    
+    for await (const chunk of body) {
+      chunks.push(chunk);
+    }
+    
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid manifest ${s3Key}: ${error.message}`);
+    }
+  }
+
+  async getIndex(s3Key) {
+    const { body } = await this.getObjectStream(s3Key);
+    const chunks = [];
+    
+    for await (const chunk of body.pipe(zlib.createGunzip())) {
+      chunks.push(chunk);
+    }
+    
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      throw new Error(`Invalid file index ${s3Key}: ${error.message}`);
+    }
+  }
+
+  // Load the newest file index of an incremental directory target, or null before its first run
+  async findLatestIndex(targetName) {
+    const indexes = (await this.listBackups(`${this.projectName}/${targetName}/`))
+      .filter(object => object.Key.endsWith(INDEX_EXTENSION))
+      .map(object => ({
+        ...object,
+        timestamp: parseTimestampFromFilename(path.basename(object.Key))
+      }))
+      .filter(object => object.timestamp !== null)
+      .sort((a, b) => b.timestamp - a.timestamp);
+    
+    return indexes.length > 0 ? this.getIndex(indexes[0].Key) : null;
+  }
+
+  // List every object under a prefix, or of the whole project
+  async listBackups(prefix = '') {
+    try {
+      return await this.list(prefix || `${this.projectName}/`);
+    } catch (error) {
+      throw new Error(`Failed to list backups on ${this.name}: ${error.message}`);
+    }
+  }
+
+  async hasObject(s3Key) {
+    return (await this.head(s3Key)) !== null;
+  }
+
+  // Open an object for streaming reads, decrypting client-side encrypted archives;
+  // the caller must consume the returned body
+  async getObjectStream(s3Key) {
+    try {
+      const { body, metadata = {}, size } = await this.get(s3Key);
+      
+      if (!ArchiveEncryption.isEncrypted(metadata)) {
+        return { body, metadata, size, encrypted: false };
+      }
+      
+      let decryptStream;
+      try {
+        decryptStream = this.encryption.createDecryptStream();
+      } catch (error) {
+        body.destroy();
+        throw error;
+      }
+      body.on('error', (error) => decryptStream.destroy(error));
+      
+      return { body: body.pipe(decryptStream), metadata, size, encrypted: true };
+    } catch (error) {
+      throw new Error(`Failed to read ${s3Key} from ${this.name}: ${error.message}`);
+    }
+  }
+
+  async downloadFile(s3Key, destinationPath) {
+    const fileName = path.basename(s3Key);
+    
+    this.logger.info(`Downloading ${fileName} from ${this.name}...`);
+    
+    try {
+      const { body } = await this.getObjectStream(s3Key);
+      await pipeline(body, fs.createWriteStream(destinationPath, { mode: 0o600 }));
+      
+      const size = fs.statSync(destinationPath).size;
+      this.logger.info(`Successfully downloaded ${fileName} (${size} bytes)`);
+      
+      return {
+        fileName,
+        s3Key,
+        path: destinationPath,
+        size
+      };
+    } catch (error) {
+      // Never leave a truncated download behind
+      if (fs.existsSync(destinationPath)) {
+        fs.unlinkSync(destinationPath);
+      }
+      throw new Error(`Failed to download ${fileName}: ${error.message}`);
+    }
+  }
+
+  // Find the backup of a target by timestamp (YYYY-MM-DD_HH-MM-SS) or 'latest'
+  async findBackup(targetName, timestamp = 'latest') {
+    const backups = (await this.listBackups(`${this.projectName}/${targetName}/`))
+      .filter(backup => !backup.Key.endsWith(INDEX_EXTENSION))
+      .map(backup => ({
+        ...backup,
+        timestamp: parseTimestampFromFilename(path.basename(backup.Key))
+      }))
+      .filter(backup => backup.timestamp !== null);
+    
+    if (backups.length === 0) {
+      throw new Error(`No backups found for ${targetName} on ${this.name}`);
+    }
+    
+    if (timestamp === 'latest') {
+      return backups.sort((a, b) => b.timestamp - a.timestamp)[0];
+    }
+    
+    const match = backups.find(backup => path.basename(backup.Key).includes(`_${timestamp}.`));
+    if (!match) {
+      throw new Error(`No backup found for ${targetName} at ${timestamp} on ${this.name}`);
+    }
+    
+    return match;
+  }
+
+  async deleteBackup(s3Key) {
+    await this.deleteBackups([s3Key]);
+    this.logger.info(`Deleted backup from ${this.name}: ${s3Key}`);
+  }
+
+  // Delete objects, auditing each; a run's objects go together so it is not split up
+  async deleteBackups(s3Keys) {
+    let failed;
+    
+    try {
+      failed = await this.delete(s3Keys);
+    } catch (error) {
+      s3Keys.forEach(s3Key => this.auditLogger.logStorageDelete(this.destination, s3Key, false));
+      throw new Error(`Failed to delete backups from ${this.name}: ${error.message}`);
+    }
+    
+    s3Keys.forEach(s3Key => this.auditLogger.logStorageDelete(this.destination, s3Key, !failed.has(s3Key)));
+    
+    if (failed.size > 0) {
+      const [s3Key, message] = failed.entries().next().value;
+      throw new Error(`Failed to delete ${failed.size} object(s) from ${this.name}, first ${s3Key}: ${message}`);
+    }
+  }
+
+  // Group every object of the project into runs by the timestamp in its file name, newest first
+  async listRuns() {
+    const runs = new Map();
+    
+    for (const object of await this.listBackups(`${this.projectName}/`)) {
+      const date = parseTimestampFromFilename(path.basename(object.Key));
+      if (!date) {
+        continue;
+      }
+      
+      const timestamp = generateTimestamp(date);
+      if (!runs.has(timestamp)) {
+        runs.set(timestamp, { timestamp, date, objects: [], size: 0 });
+      }
+      
+      const run = runs.get(timestamp);
+      run.objects.push(object);
+      run.size += object.Size || 0;
+    }
+    
+    return [...runs.values()].sort((a, b) => b.date - a.date);
+  }
+}
+
+module.exports = BackupStorage;
\ No newline at end of file
@@ -0,0 +1,301 @@
+const crypto = require('crypto');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
+const { compressionOf, createDecompressStream } = require('./compression');
+
+// Dump tools write these trailers only after the last statement of a complete dump
+const DUMP_TRAILERS = {
+  mysql: /-- Dump completed( on [^\n]*)?\s*$/,
+  mariadb: /-- Dump completed( on [^\n]*)?\s*$/,
+  postgresql: /-- PostgreSQL database dump complete\s*$/
+};
+const TRAILER_TAIL_LENGTH = 1024;
+// pg_dump custom format archives start with this magic string
+const PG_DUMP_MAGIC = 'PGDMP';
+// SQLite database files start with this header string
+const SQLITE_MAGIC = 'SQLite format 3\0';
+// mongodump archives start with this little-endian magic number
+const MONGODUMP_ARCHIVE_MAGIC = 0x8199e26d;
+
+// Keep the last bytes written to it, discarding everything else
+class TailBuffer extends Writable {
+  constructor(length) {
+    super();
+    this.length = length;
+    this.tail = Buffer.alloc(0);
+  }
+
+  _write(chunk, encoding, callback) {
+    this.tail = Buffer.concat([this.tail, chunk]).subarray(-this.length);
+    callback();
+  }
+
+  toString() {
+    return this.tail.toString('utf8');
+  }
+}
+
+// Hash and count the raw object bytes as they stream past
+const createDigestStream = () => {
+  const hash = crypto.createHash('sha256');
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      stream.bytes += chunk.length;
+      if (stream.head.length < 16) {
+        stream.head = Buffer.concat([stream.head, chunk]).subarray(0, 16);
+      }
+      callback(null, chunk);
+    }
+  });
+  
+  stream.bytes = 0;
+  stream.head = Buffer.alloc(0);
+  stream.digest = () => hash.digest('hex');
+  
+  return stream;
+};
+
+// List every entry of a tar stream passed through the given streams, keeping the
+// tail of the SQL dump if there is one
+const listTarArchive = async (streams) => {
+  const sqlTail = new TailBuffer(TRAILER_TAIL_LENGTH);
+  let entries = 0;
+  let hasSqlDump = false;
+  
+  const parser = new tar.Parser({
+    strict: true,
+    onReadEntry: (entry) => {
+      entries++;
+      if (entry.type === 'File' && entry.path.endsWith('.sql')) {
+        hasSqlDump = true;
+        entry.on('data', (chunk) => sqlTail.write(chunk));
+      } else {
+        entry.resume();
+      }
+    }
+  });
+  
+  await pipeline(...streams, parser);
+  
+  return { entries, sqlTail: hasSqlDump ? sqlTail.toString() : null };
+};
+
+// Archive format and compression algorithm of an object, from its key
+const FORMAT_PATTERN = /\.(tar|sqlite|sql|dump|archive)(\.gz|\.zst)?$/;
+
+class BackupVerifier {
+  constructor(storage, logger) {
+    this.storage = storage;
+    this.logger = logger;
+  }
+
+  // Select manifests by run timestamp, or the latest N runs
+  async selectManifests({ timestamp, latest = 1 }) {
+    const manifests = await this.storage.listManifests();
+    
+    if (timestamp) {
+      const match = manifests.find(manifest => path.basename(manifest.Key) === `manifest_${timestamp}.json`);
+      if (!match) {
+        throw new Error(`No manifest found for run ${timestamp}`);
+      }
+      return [match];
+    }
+    
+    if (manifests.length === 0) {
+      throw new Error('No run manifests found');
+    }
+    
+    return manifests.slice(0, latest);
+  }
+
+  // Check the file index of a directory target against the manifest, and that every
+  // archive of the chain it restores from is stored
+  async verifyIndex(target) {
+    const errors = [];
+    const checks = [];
+    
+    try {
+      const { body, metadata } = await this.storage.getObjectStream(target.indexS3Key);
+      const digest = createDigestStream();
+      const chunks = [];
+      
+      await pipeline(body, digest, zlib.createGunzip(), new Writable({
+        write: (chunk, encoding, callback) => {
+          chunks.push(chunk);
+          callback();
+        }
+      }));
+      
+      const sha256 = digest.digest();
+      // Manifests written before index checksums were recorded only have the object metadata
+      const expected = target.indexSha256 || metadata.sha256;
+      
+      if (target.indexSize !== undefined && digest.bytes !== target.indexSize) {
+        errors.push(`index size mismatch: expected ${target.indexSize} bytes, found ${digest.bytes}`);
+      }
+      
+      if (sha256 !== expected) {
+        errors.push(`index checksum mismatch: expected ${expected}, object hashes to ${sha256}`);
+      } else {
+        checks.push('index checksum matches');
+      }
+      
+      const index = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+      const archiveTimestamps = [...new Set(index.entries.map(entry => entry.archive))];
+      
+      for (const archiveTimestamp of archiveTimestamps) {
+        try {
+          await this.storage.findBackup(target.name, archiveTimestamp);
+        } catch (error) {
+          errors.push(`backup chain is broken: ${error.message}`);
+        }
+      }
+      
+      if (errors.length === 0) {
+        checks.push(`index reads cleanly (${index.entries.length} entries in ${archiveTimestamps.length} archive(s))`);
+      }
+    } catch (error) {
+      errors.push(`index ${target.indexS3Key}: ${error.message}`);
+    }
+    
+    return { checks, errors };
+  }
+
+  async verifyTarget(target) {
+    const errors = [];
+    const checks = [];
+    
+    try {
+      const { body, metadata, encrypted } = await this.storage.getObjectStream(target.s3Key);
+      // Encrypted objects are checked after decryption, against the plaintext checksum
+      const digest = createDigestStream();
+      let sqlTail = null;
+      
+      const [, format] = target.s3Key.match(FORMAT_PATTERN) || [];
+      // Compressed formats are decompressed as their extension says
+      const decompress = () => createDecompressStream(compressionOf(target.s3Key));
+      
+      if (format === 'tar') {
+        const listing = await listTarArchive([body, digest, decompress()]);
+        checks.push(`archive lists cleanly (${listing.entries} entries)`);
+        sqlTail = listing.sqlTail;
+      } else if (format === 'sqlite') {
+        const content = createDigestStream();
+        await pipeline(body, digest, decompress(), content, new Writable({ write: (chunk, encoding, callback) => callback() }));
+        if (content.head.toString('latin1', 0, SQLITE_MAGIC.length) === SQLITE_MAGIC) {
+          checks.push('SQLite database header is valid');
+        } else {
+          errors.push('not a SQLite database');
+        }
+      } else if (format === 'sql') {
+        const tail = new TailBuffer(TRAILER_TAIL_LENGTH);
+        await pipeline(body, digest, decompress(), tail);
+        checks.push(compressionOf(target.s3Key) === 'none' ? 'dump reads cleanly' : 'dump decompresses cleanly');
+        sqlTail = tail.toString();
+      } else if (format === 'dump') {
+        await pipeline(body, digest, new Writable({ write: (chunk, encoding, callback) => callback() }));
+        if (digest.head.toString('latin1', 0, PG_DUMP_MAGIC.length) === PG_DUMP_MAGIC) {
+          checks.push('pg_dump archive header is valid');
+        } else {
+          errors.push('not a pg_dump custom format archive');
+        }
+      } else if (format === 'archive') {
+        await pipeline(body, digest, new Writable({ write: (chunk, encoding, callback) => callback() }));
+        if (digest.head.length >= 4 && digest.head.readUInt32LE(0) === MONGODUMP_ARCHIVE_MAGIC) {
+          checks.push('mongodump archive header is valid');
+        } else {
+          errors.push('not a mongodump archive');
+        }
+      } else {
+        errors.push('unrecognised archive format');
+      }
+      
+      const sha256 = digest.digest();
+      
+      if (encrypted && errors.length === 0) {
+        checks.push(`decrypts and authenticates (key ${metadata['encryption-key-id']})`);
+      }
+      
+      if (digest.bytes !== target.size) {
+        errors.push(`size mismatch: expected ${target.size} bytes, found ${digest.bytes}`);
+      }
+      
+      if (sha256 !== target.sha256) {
+        errors.push(`checksum mismatch: manifest has ${target.sha256}, object hashes to ${sha256}`);
+      } else {
+        checks.push('checksum matches manifest');
+      }
+      
+      if (metadata.sha256 && metadata.sha256 !== target.sha256) {
+        errors.push(`object metadata checksum ${metadata.sha256} does not match manifest`);
+      }
+      
+      // Custom format archives carry no trailer; their header was checked above
+      const trailer = DUMP_TRAILERS[target.databaseType];
+      if (trailer && !target.s3Key.endsWith('.dump')) {
+        if (sqlTail !== null && trailer.test(sqlTail)) {
+          checks.push('dump ends with completion trailer');
+        } else {
+          errors.push('dump is missing its completion trailer');
+        }
+      }
+      
+      if (target.indexS3Key) {
+        const index = await this.verifyIndex(target);
+        checks.push(...index.checks);
+        errors.push(...index.errors);
+      }
+    } catch (error) {
+      errors.push(error.message);
+    }
+    
+    return {
+      name: target.name,
+      s3Key: target.s3Key,
+      passed: errors.length === 0,
+      checks,
+      errors
+    };
+  }
+
+  async verify(options = {}) {
+    const manifests = await this.selectManifests(options);
+    const runs = [];
+    
+    for (const manifestObject of manifests) {
+      const manifest = await this.storage.getManifest(manifestObject.Key);
+      this.logger.info(`Verifying run ${manifest.timestamp} (${manifest.targets.length} targets)...`);
+      
+      const targets = [];
+      
+      for (const target of manifest.targets) {
+        const result = await this.verifyTarget(target);
+        
+        if (result.passed) {
+          this.logger.info(`Verified ${target.name}: ${result.checks.join(', ')}`);
+        } else {
+          this.logger.error(`Verification failed for ${target.name}: ${result.errors.join('; ')}`);
+        }
+        
+        targets.push(result);
+      }
+      
+      runs.push({
+        timestamp: manifest.timestamp,
+        passed: targets.every(target => target.passed),
+        targets
+      });
+    }
+    
+    return {
+      passed: runs.every(run => run.passed),
+      runs
+    };
+  }
+}
+
+module.exports = BackupVerifier;
\ No newline at end of file
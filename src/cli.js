@@ -2,11 +2,134 @@
 
 const { Command } = require('commander');
 const path = require('path');
+const fs = require('fs');
 const BackupManager = require('./index');
+const BackupScheduler = require('./scheduler');
+const BackupMetrics = require('./metrics');
+const AuditLogger = require('./audit-logger');
 const { createLogger } = require('./logger');
+const { listProjects } = require('./config');
+const { redactSecrets } = require('./utils');
 
 const program = new Command();
 
+// Exit codes of the backup command, so wrappers can tell a partial run from a failed one
+const BACKUP_EXIT_CODES = {
+  success: 0,
+  failed: 1,
+  partial: 2
+};
+
+// Pad every column to its widest cell
+const formatTable = (headers, rows) => {
+  const widths = headers.map((header, column) => Math.max(header.length, ...rows.map(row => row[column].length)));
+  const formatRow = (row) => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+  
+  return [formatRow(headers), ...rows.map(formatRow)];
+};
+
+// Projects a command works on: those named with --project, or every project of the config.
+// With --target, each project gets the named targets it has, and projects without any are
+// left out; a single project gets every name, so that runBackup reports unknown ones.
+const selectProjects = (configPath, projectNames, targetNames) => {
+  const projects = listProjects(configPath);
+  
+  const unknown = (projectNames || []).filter(name => !projects.some(project => project.name === name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown project(s): ${unknown.join(', ')}`);
+  }
+  
+  const selected = projectNames ? projects.filter(project => projectNames.includes(project.name)) : projects;
+  if (!targetNames || selected.length === 1) {
+    return selected.map(project => ({ name: project.name, targets: targetNames }));
+  }
+  
+  const unknownTargets = targetNames.filter(name => !selected.some(project => project.targets.includes(name)));
+  if (unknownTargets.length > 0) {
+    throw new Error(`Unknown backup target(s): ${unknownTargets.join(', ')}`);
+  }
+  
+  return selected
+    .map(project => ({ name: project.name, targets: targetNames.filter(name => project.targets.includes(name)) }))
+    .filter(project => project.targets.length > 0);
+};
+
+// Commands that read a single project's backups need to know which one
+const selectProject = (configPath, projectName) => {
+  const projects = selectProjects(configPath, projectName && [projectName]);
+  if (projects.length > 1) {
+    throw new Error(`Configuration defines ${projects.length} projects; choose one with --project`);
+  }
+  return projects[0].name;
+};
+
+// Say which project the output that follows belongs to, when there are several
+const printProjectHeader = (projects, project) => {
+  if (projects.length > 1) {
+    console.log(`\n📂 Project ${project.name}`);
+  }
+};
+
+// Exit status of several runs: success only if all succeeded, failed only if all failed
+const combineStatuses = (statuses) => {
+  if (statuses.every(status => status === 'success')) return 'success';
+  if (statuses.every(status => status === 'failed')) return 'failed';
+  return 'partial';
+};
+
+const formatMB = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+// Print what a dry run found: every target, then what each destination would receive and lose
+const printBackupPlan = (plan) => {
+  const rows = plan.targets.map(target => {
+    if (target.status !== 'ok') {
+      return [target.name, target.type, target.status, '-', '-', target.error];
+    }
+    if (target.type === 'database') {
+      return [target.name, target.type, target.status, '-', '-', `${target.databaseType} connection ok`];
+    }
+    
+    const detail = target.mode === 'incremental'
+      ? `incremental: ${target.archived.entries} changed (${formatMB(target.archived.bytes)}), ${target.deleted} deleted`
+      : `${target.mode}: ${target.archived.entries} entries, ${target.archived.stored} stored uncompressed`;
+    return [
+      target.name,
+      target.type,
+      target.status,
+      String(target.entries),
+      formatMB(target.bytes),
+      `${detail}; ${target.excluded.entries} excluded (${formatMB(target.excluded.bytes)})`
+    ];
+  });
+  formatTable(['TARGET', 'TYPE', 'STATUS', 'ENTRIES', 'SIZE', 'DETAIL'], rows).forEach(line => console.log(line));
+  
+  plan.targets.filter(target => target.largestIncluded).forEach(target => {
+    [['Largest included', target.largestIncluded], ['Largest excluded', target.largestExcluded]]
+      .filter(([, files]) => files.length > 0)
+      .forEach(([label, files]) => {
+        console.log(`\n${label} in ${target.name}:`);
+        files.forEach(file => console.log(`  ${formatMB(file.size).padStart(12)}  ${file.path}`));
+      });
+  });
+  
+  plan.destinations.forEach(destination => {
+    console.log(`\n📍 Destination ${destination.name} (${destination.type})`);
+    destination.keys.forEach(key => console.log(`  ⬆️  ${key}`));
+    
+    if (destination.error) {
+      console.log(`  ❌ ${destination.error}`);
+    } else if (!destination.pruned) {
+      console.log('  ℹ️  Retention cleanup would be skipped: the run would be incomplete');
+    } else if (destination.deletions.length === 0) {
+      console.log('  ℹ️  Retention would delete nothing');
+    } else {
+      destination.deletions.forEach(run => {
+        console.log(`  🗑️  ${run.timestamp} (${run.objects.length} objects, ${formatMB(run.size)}): ${run.reasons.join(', ')}`);
+      });
+    }
+  });
+};
+
 program
   .name('backup-to-s3')
   .description('Configurable backup tool for directories and databases to S3')
@@ -16,8 +139,12 @@ program
   .command('backup')
   .description('Run backup using configuration file')
   .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only back up these projects of the configuration (default: all)')
+  .option('-t, --target <name...>', 'Only back up these directories and databases (default: all)')
   .option('-v, --verbose', 'Enable verbose logging')
   .option('-q, --quiet', 'Suppress all output except errors')
+  .option('--on-error <policy>', 'On a failed target: failFast (stop) or continue (back up the rest)')
+  .option('--dry-run', 'Plan the run without dumping, archiving, uploading or deleting anything')
   .action(async (options) => {
     const configPath = path.resolve(options.config);
     
@@ -27,19 +154,183 @@ program
     };
     
     try {
-      const backupManager = new BackupManager(configPath, { logger: loggerOptions });
-      const result = await backupManager.runBackup();
+      if (options.onError && !['failFast', 'continue'].includes(options.onError)) {
+        throw new Error(`Invalid --on-error value: ${options.onError}`);
+      }
+      
+      const projects = selectProjects(configPath, options.project, options.target);
+      const statuses = [];
       
-      if (result.success) {
-        console.log(`✅ Backup completed successfully!`);
-        console.log(`📦 Processed ${result.backups} backups`);
-        console.log(`📊 Total size: ${(result.totalSize / 1024 / 1024).toFixed(2)} MB`);
-        console.log(`🚀 Uploaded ${result.uploads.length} files to S3`);
+      // Projects are backed up one after another; a failed one does not stop the rest
+      for (const project of projects) {
+        printProjectHeader(projects, project);
+        
+        try {
+          const backupManager = new BackupManager(configPath, { project: project.name, logger: loggerOptions });
+          
+          if (options.dryRun) {
+            const plan = await backupManager.planBackup({ targets: project.targets });
+            printBackupPlan(plan);
+            
+            if (plan.status === 'ok') {
+              console.log(`\n✅ Dry run of ${plan.timestamp}: every target can be backed up`);
+            } else {
+              console.error(`\n❌ Dry run of ${plan.timestamp}: some targets or destinations would fail`);
+            }
+            statuses.push(plan.status === 'ok' ? 'success' : 'failed');
+            continue;
+          }
+          
+          const result = await backupManager.runBackup({ onError: options.onError, targets: project.targets });
+          
+          if (result.targets.length > 0) {
+            const rows = result.targets.map(target => [
+              target.name,
+              target.type,
+              target.status,
+              target.size === undefined ? '-' : `${(target.size / 1024 / 1024).toFixed(2)} MB`,
+              target.duration === undefined ? '-' : `${(target.duration / 1000).toFixed(1)}s`,
+              target.error || target.s3Key || ''
+            ]);
+            formatTable(['TARGET', 'TYPE', 'STATUS', 'SIZE', 'DURATION', 'DETAIL'], rows).forEach(line => console.log(line));
+            
+            const destinationRows = result.destinations.map(destination => [
+              destination.name,
+              destination.type,
+              destination.status,
+              `${destination.stored}/${result.targets.length}`,
+              destination.error || destination.manifest || ''
+            ]);
+            console.log('');
+            formatTable(['DESTINATION', 'TYPE', 'STATUS', 'STORED', 'DETAIL'], destinationRows).forEach(line => console.log(line));
+          }
+          
+          if (result.status === 'success') {
+            console.log(`✅ Backup completed successfully!`);
+          } else if (result.status === 'partial') {
+            console.error(`⚠️  Backup partially failed: ${result.backups} of ${result.targets.length} targets completed${result.error ? ` (${result.error})` : ''}`);
+          } else {
+            console.error(`❌ Backup failed: none of ${result.targets.length} targets completed`);
+          }
+          
+          if (result.backups > 0) {
+            console.log(`📦 Processed ${result.backups} backups`);
+            console.log(`📊 Total size: ${(result.totalSize / 1024 / 1024).toFixed(2)} MB`);
+            console.log(`🚀 Uploaded ${result.uploads.length} files to ${result.destinations.length} destination(s)`);
+          }
+          
+          statuses.push(result.status);
+        } catch (error) {
+          console.error(`❌ Backup failed: ${error.message}`);
+          statuses.push('failed');
+        }
       }
       
-      process.exit(0);
+      if (options.dryRun) {
+        process.exit(statuses.every(status => status === 'success') ? 0 : 1);
+      }
+      process.exit(BACKUP_EXIT_CODES[combineStatuses(statuses)]);
     } catch (error) {
       console.error(`❌ Backup failed: ${error.message}`);
+      process.exit(BACKUP_EXIT_CODES.failed);
+    }
+  });
+
+program
+  .command('daemon')
+  .description('Keep running, backing up on the schedules in backup.schedule and backup.schedules')
+  .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only schedule these projects of the configuration (default: all)')
+  .option('-t, --target <name...>', 'Only back up these directories and databases on every schedule (default: all)')
+  .option('--on-error <policy>', 'On a failed target: failFast (stop) or continue (back up the rest)')
+  .option('--on-shutdown <action>', 'On SIGTERM or SIGINT: finish or cancel the current run', 'finish')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('-q, --quiet', 'Suppress all output except errors')
+  .action(async (options) => {
+    const configPath = path.resolve(options.config);
+    
+    const loggerOptions = {
+      level: options.quiet ? 'error' : (options.verbose ? 'debug' : 'info'),
+      silent: false
+    };
+    
+    try {
+      if (options.onError && !['failFast', 'continue'].includes(options.onError)) {
+        throw new Error(`Invalid --on-error value: ${options.onError}`);
+      }
+      if (!['finish', 'cancel'].includes(options.onShutdown)) {
+        throw new Error(`Invalid --on-shutdown value: ${options.onShutdown}`);
+      }
+      
+      const { loadConfig } = require('./config');
+      const projects = selectProjects(configPath, options.project, options.target);
+      const configs = projects.map(project => loadConfig(configPath, { project: project.name }));
+      const targetsOf = (config) => projects.find(project => project.name === config.project.name).targets;
+      const logger = createLogger(loggerOptions);
+      
+      // Each textfile only gets the samples of the projects writing to it, as the node_exporter
+      // collector rejects a series that two of its files hold
+      const textfileProjects = new Map();
+      configs.filter(config => config.metrics.textfile).forEach(({ metrics: { textfile }, project }) => {
+        textfileProjects.set(textfile, [...(textfileProjects.get(textfile) || []), project.name]);
+      });
+      
+      // Runs of every project share one registry, so /metrics serves the counters of every
+      // run since startup, on each endpoint the projects configure
+      let metrics;
+      const metricsServers = [];
+      const endpoints = new Map(configs
+        .filter(config => config.metrics.port)
+        .map(config => [`${config.metrics.host}:${config.metrics.port}`, config.metrics]));
+      for (const { host, port } of endpoints.values()) {
+        metrics = metrics || BackupMetrics.fromTextfiles([...textfileProjects.keys()]);
+        metricsServers.push(await metrics.listen(port, host));
+        logger.info(`Serving metrics on http://${host}:${port}/metrics`);
+      }
+      
+      // Of several projects, those without schedules of the selected targets are left out
+      const queue = { tail: Promise.resolve() };
+      const schedulers = configs
+        .filter(config => configs.length === 1 || BackupScheduler.resolveSchedules(config.backup, targetsOf(config)).length > 0)
+        .map(config => new BackupScheduler(configPath, config, logger, {
+          onError: options.onError,
+          queue,
+          targets: targetsOf(config),
+          namePrefix: configs.length > 1 ? `${config.project.name}/` : '',
+          managerOptions: {
+            project: config.project.name,
+            logger: loggerOptions,
+            metrics,
+            textfileProjects: textfileProjects.get(config.metrics.textfile)
+          }
+        }));
+      if (schedulers.length === 0) {
+        throw new Error(options.target
+          ? `No schedules back up ${options.target.join(', ')}`
+          : 'No schedules configured: set backup.schedule or backup.schedules');
+      }
+      
+      schedulers.forEach(scheduler => scheduler.start());
+      logger.info(`Backup daemon started (pid ${process.pid})`);
+      
+      // A second signal cancels a run the first one left to finish
+      let signals = 0;
+      const shutdown = (signal) => {
+        signals++;
+        const cancel = options.onShutdown === 'cancel' || signals > 1;
+        logger.info(`Received ${signal}, shutting down...`);
+        
+        Promise.all(schedulers.map(scheduler => scheduler.stop({ cancel }))).then(() => {
+          metricsServers.forEach(server => server.close());
+          logger.info('Backup daemon stopped');
+          process.exit(0);
+        });
+      };
+      
+      process.on('SIGTERM', shutdown);
+      process.on('SIGINT', shutdown);
+    } catch (error) {
+      console.error(`❌ Failed to start backup daemon: ${error.message}`);
       process.exit(1);
     }
   });
@@ -48,17 +339,40 @@ program
   .command('validate')
   .description('Validate configuration file')
   .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only validate these projects of the configuration (default: all)')
   .action(async (options) => {
     const configPath = path.resolve(options.config);
     
     try {
       const { loadConfig } = require('./config');
-      const config = loadConfig(configPath);
-      console.log('✅ Configuration is valid');
-      console.log(`📁 Directories: ${config.directories.length}`);
-      console.log(`🗄️  Databases: ${config.databases.length}`);
-      console.log(`☁️  S3 Bucket: ${config.s3.bucket}`);
-      process.exit(0);
+      const projects = selectProjects(configPath, options.project);
+      let valid = true;
+      
+      projects.forEach(project => {
+        printProjectHeader(projects, project);
+        
+        try {
+          const config = loadConfig(configPath, { project: project.name });
+          console.log('✅ Configuration is valid');
+          console.log(`📁 Directories: ${config.directories.length}`);
+          console.log(`🗄️  Databases: ${config.databases.length}`);
+          config.destinations.forEach(destination => {
+            const location = destination.type === 's3' ? `s3://${destination.bucket}` : destination.path;
+            console.log(`☁️  Destination ${destination.name}: ${redactSecrets(location, config.secrets)}`);
+          });
+          // Where each referenced value came from; the values themselves are never shown
+          config.references.forEach(reference => {
+            const source = reference.source === 'file' ? 'secret file' : 'environment variable';
+            const file = reference.file ? ` (in ${reference.file})` : '';
+            console.log(`🔑 ${reference.path}${file}: ${source} ${reference.name}${reference.defaulted ? ' (default)' : ''}`);
+          });
+        } catch (error) {
+          console.error(`❌ Configuration validation failed: ${error.message}`);
+          valid = false;
+        }
+      });
+      
+      process.exit(valid ? 0 : 1);
     } catch (error) {
       console.error(`❌ Configuration validation failed: ${error.message}`);
       process.exit(1);
@@ -67,25 +381,73 @@ program
 
 program
   .command('list')
-  .description('List existing backups in S3')
+  .description('List existing backups on a destination, grouped into runs')
   .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only list these projects of the configuration (default: all)')
+  .option('--from <destination>', 'Destination to list (default: the first configured)')
+  .option('-t, --target <name>', 'Only list backups of this target')
+  .option('--type <type>', 'Only list targets of this type: directory, database or manifest')
+  .option('--since <date>', 'Only list runs at or after this date (YYYY-MM-DD or YYYY-MM-DD_HH-MM-SS)')
+  .option('--until <date>', 'Only list runs at or before this date (YYYY-MM-DD or YYYY-MM-DD_HH-MM-SS)')
+  .option('--json', 'Print the listing as JSON')
+  .option('-v, --verbose', 'Enable verbose logging')
   .action(async (options) => {
     const configPath = path.resolve(options.config);
     
+    const loggerOptions = {
+      level: options.verbose ? 'debug' : 'warn',
+      silent: false
+    };
+    
     try {
-      const { loadConfig } = require('./config');
-      const config = loadConfig(configPath);
-      const { S3Uploader } = require('./s3-uploader');
-      const logger = createLogger();
-      
-      const uploader = new S3Uploader(config.s3, logger);
-      const backups = await uploader.listBackups();
-      
-      console.log(`📦 Found ${backups.length} backups in S3:`);
-      backups.forEach(backup => {
-        const date = new Date(backup.LastModified).toLocaleDateString();
-        const size = (backup.Size / 1024 / 1024).toFixed(2);
-        console.log(`  ${backup.Key} (${size} MB, ${date})`);
+      if (options.type && !['directory', 'database', 'manifest'].includes(options.type)) {
+        throw new Error(`Invalid --type value: ${options.type}`);
+      }
+      
+      const projects = selectProjects(configPath, options.project);
+      const listings = [];
+      
+      for (const project of projects) {
+        const backupManager = new BackupManager(configPath, { project: project.name, logger: loggerOptions });
+        listings.push(await backupManager.runList({
+          target: options.target,
+          type: options.type,
+          since: options.since,
+          until: options.until,
+          from: options.from
+        }));
+      }
+      
+      if (options.json) {
+        // The listing of a single project keeps its shape; several are keyed by project
+        const output = projects.length === 1
+          ? listings[0]
+          : Object.fromEntries(projects.map((project, index) => [project.name, listings[index]]));
+        // Exit only once a large listing has been flushed to a pipe
+        process.stdout.write(`${JSON.stringify(output, null, 2)}\n`, () => process.exit(0));
+        return;
+      }
+      
+      const megabytes = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+      
+      listings.forEach((listing, index) => {
+        printProjectHeader(projects, projects[index]);
+        
+        listing.runs.forEach(run => {
+          console.log(`📦 Run ${run.timestamp} (${run.objects.length} objects, ${megabytes(run.size)} MB)`);
+          run.objects.forEach(object => {
+            console.log(`  ${object.key} (${object.type}, ${megabytes(object.size)} MB)`);
+          });
+        });
+        
+        if (listing.runs.length > 0) {
+          console.log('📊 Totals per target:');
+          Object.entries(listing.totals).forEach(([name, total]) => {
+            console.log(`  ${name} (${total.type}): ${total.objects} objects in ${total.runs} runs, ${megabytes(total.size)} MB`);
+          });
+        }
+        
+        console.log(`📦 Found ${listing.objectCount} objects in ${listing.runs.length} runs (${megabytes(listing.totalSize)} MB)`);
       });
       
       process.exit(0);
@@ -95,6 +457,227 @@ program
     }
   });
 
+program
+  .command('restore')
+  .description('Restore a directory or database backup from a destination')
+  .requiredOption('-t, --target <name>', 'Name of the directory or database to restore')
+  .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name>', 'Project of the target, in a configuration with several')
+  .option('--timestamp <timestamp>', 'Backup timestamp (YYYY-MM-DD_HH-MM-SS) or "latest"', 'latest')
+  .option('--from <destination>', 'Destination to restore from (default: the first configured)')
+  .option('-d, --destination <path>', 'Directory to extract a directory backup into')
+  .option('--if-exists <policy>', 'How to handle existing files: overwrite or skip', 'overwrite')
+  .option('--database <name>', 'Restore into a different database than the configured one')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('-q, --quiet', 'Suppress all output except errors')
+  .action(async (options) => {
+    const configPath = path.resolve(options.config);
+    
+    const loggerOptions = {
+      level: options.quiet ? 'error' : (options.verbose ? 'debug' : 'info'),
+      silent: false
+    };
+    
+    try {
+      const project = selectProject(configPath, options.project);
+      const backupManager = new BackupManager(configPath, { project, logger: loggerOptions });
+      const result = await backupManager.runRestore({
+        target: options.target,
+        timestamp: options.timestamp,
+        destination: options.destination && path.resolve(options.destination),
+        ifExists: options.ifExists,
+        database: options.database,
+        from: options.from
+      });
+      
+      console.log(`✅ Restore completed successfully!`);
+      console.log(`📦 Restored ${result.s3Key}`);
+      if (result.type === 'directory') {
+        console.log(`📁 Extracted to ${result.path}`);
+      } else {
+        console.log(`🗄️  Replayed into database ${result.database}`);
+      }
+      
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ Restore failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('verify')
+  .description('Verify uploaded backups against their run manifests')
+  .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only verify these projects of the configuration (default: all)')
+  .option('--timestamp <timestamp>', 'Verify the run with this timestamp (YYYY-MM-DD_HH-MM-SS)')
+  .option('--latest <count>', 'Verify the latest N runs', '1')
+  .option('--from <destination>', 'Destination to verify (default: the first configured)')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('-q, --quiet', 'Suppress all output except errors')
+  .action(async (options) => {
+    const configPath = path.resolve(options.config);
+    
+    const loggerOptions = {
+      level: options.quiet ? 'error' : (options.verbose ? 'debug' : 'warn'),
+      silent: false
+    };
+    
+    try {
+      const latest = parseInt(options.latest, 10);
+      if (!Number.isInteger(latest) || latest < 1) {
+        throw new Error(`Invalid --latest value: ${options.latest}`);
+      }
+      
+      const projects = selectProjects(configPath, options.project);
+      let passed = true;
+      
+      for (const project of projects) {
+        printProjectHeader(projects, project);
+        
+        const backupManager = new BackupManager(configPath, { project: project.name, logger: loggerOptions });
+        const report = await backupManager.runVerify({
+          timestamp: options.timestamp,
+          latest,
+          from: options.from
+        });
+        
+        console.log(`📍 Destination ${report.destination}`);
+        
+        report.runs.forEach(run => {
+          console.log(`${run.passed ? '✅' : '❌'} Run ${run.timestamp}`);
+          run.targets.forEach(target => {
+            if (target.passed) {
+              console.log(`  ✅ ${target.name} (${target.s3Key}): ${target.checks.join(', ')}`);
+            } else {
+              console.log(`  ❌ ${target.name} (${target.s3Key}): ${target.errors.join('; ')}`);
+            }
+          });
+        });
+        
+        passed = passed && report.passed;
+      }
+      
+      if (!passed) {
+        console.error(`❌ Verification failed`);
+        process.exit(1);
+      }
+      
+      console.log(`✅ All verified backups are intact`);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ Verification failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('prune')
+  .description('Delete runs outside the retention policy, one whole run at a time')
+  .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only prune these projects of the configuration (default: all)')
+  .option('--dry-run', 'Show what would be kept and removed without deleting anything')
+  .option('--from <destination>', 'Only prune this destination (default: every destination)')
+  .option('-v, --verbose', 'Enable verbose logging')
+  .option('-q, --quiet', 'Suppress all output except errors')
+  .action(async (options) => {
+    const configPath = path.resolve(options.config);
+    
+    const loggerOptions = {
+      level: options.quiet ? 'error' : (options.verbose ? 'debug' : 'warn'),
+      silent: false
+    };
+    
+    try {
+      const projects = selectProjects(configPath, options.project);
+      
+      for (const project of projects) {
+        printProjectHeader(projects, project);
+        
+        const backupManager = new BackupManager(configPath, { project: project.name, logger: loggerOptions });
+        const result = await backupManager.runPrune({ dryRun: Boolean(options.dryRun), from: options.from });
+        
+        result.destinations.forEach(destination => {
+          console.log(`📍 Destination ${destination.name}`);
+          
+          destination.runs.forEach(run => {
+            const action = run.keep ? 'keep  ' : (result.dryRun ? 'remove' : 'removed');
+            const size = (run.size / 1024 / 1024).toFixed(2);
+            console.log(`${run.keep ? '✅' : '🗑️ '} ${action} ${run.timestamp} (${run.objects.length} objects, ${size} MB): ${run.reasons.join(', ')}`);
+          });
+          
+          const removed = destination.runs.filter(run => !run.keep);
+          if (result.dryRun) {
+            console.log(`ℹ️  Dry run: ${removed.length} of ${destination.runs.length} run(s) would be removed`);
+          } else {
+            console.log(`✅ Pruned ${destination.deletedRuns} run(s), ${destination.deletedCount} object(s)`);
+          }
+        });
+      }
+      
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ Prune failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+const audit = program
+  .command('audit')
+  .description('Inspect the audit log');
+
+audit
+  .command('verify')
+  .description('Verify the hash chain of the audit log and its rotated files')
+  .option('-c, --config <path>', 'Path to configuration file', './backup-config.json')
+  .option('-p, --project <name...>', 'Only verify the audit logs of these projects (default: all)')
+  .action(async (options) => {
+    const configPath = path.resolve(options.config);
+    
+    try {
+      if (!fs.existsSync(configPath)) {
+        throw new Error(`Configuration file not found: ${configPath}`);
+      }
+      
+      const { loadAuditConfig } = require('./config');
+      // Projects may keep separate audit logs; each one is verified once
+      const auditConfigs = new Map();
+      selectProjects(configPath, options.project).forEach(project => {
+        const auditConfig = loadAuditConfig(configPath, { project: project.name });
+        auditConfigs.set(auditConfig.logFile, auditConfig);
+      });
+      let valid = true;
+      
+      auditConfigs.forEach(auditConfig => {
+        const report = AuditLogger.verifyChain(auditConfig);
+        
+        console.log(`📜 Checked ${report.files.length} audit log file(s) of ${auditConfig.logFile}, ${report.entries} chained entries`);
+        if (report.legacyEntries > 0) {
+          console.log(`⚠️  ${report.legacyEntries} entries predate hash chaining and are not protected`);
+        }
+        if (report.firstSequence > 1) {
+          console.log(`ℹ️  Chain starts at sequence ${report.firstSequence}; earlier entries were rotated out`);
+        }
+        
+        if (!report.valid) {
+          const location = report.error.line ? `${report.error.file}:${report.error.line}` : report.error.file;
+          console.error(`❌ Audit log verification failed at ${location}: ${report.error.reason}`);
+          valid = false;
+        }
+      });
+      
+      if (!valid) {
+        process.exit(1);
+      }
+      
+      console.log(`✅ Audit log chain${auditConfigs.size > 1 ? 's are' : ' is'} intact`);
+      process.exit(0);
+    } catch (error) {
+      console.error(`❌ Audit log verification failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 if (process.argv.length === 2) {
   program.help();
 }
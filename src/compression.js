@@ -0,0 +1,205 @@
+const zlib = require('zlib');
+const path = require('path');
+const { spawn } = require('child_process');
+const { Duplex, PassThrough, Transform } = require('stream');
+
+// File extension and level range of each algorithm; the default levels are the tools' own
+const ALGORITHMS = {
+  none: { extension: '' },
+  gzip: { extension: '.gz', minLevel: 1, maxLevel: 9, defaultLevel: 6 },
+  zstd: { extension: '.zst', minLevel: 1, maxLevel: 19, defaultLevel: 3 }
+};
+
+// Formats that are compressed already; compressing them again costs time and saves nothing
+const PRECOMPRESSED_EXTENSIONS = [
+  'jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'heic',
+  'mp3', 'm4a', 'aac', 'ogg', 'opus', 'flac',
+  'mp4', 'm4v', 'mkv', 'mov', 'avi', 'webm',
+  'zip', 'gz', 'tgz', 'bz2', 'xz', 'zst', '7z', 'rar',
+  'jar', 'docx', 'xlsx', 'pptx', 'odt', 'ods', 'woff2'
+];
+
+// Only the tail of stderr is kept for error messages
+const MAX_STDERR_LENGTH = 4 * 1024;
+
+// zstd frames without a content size or checksum, using 128 KiB raw blocks
+// (RFC 8878): magic number, frame header descriptor and window descriptor
+const ZSTD_RAW_FRAME_HEADER = Buffer.from([0x28, 0xb5, 0x2f, 0xfd, 0x00, 0x38]);
+const ZSTD_MAX_BLOCK_SIZE = 128 * 1024;
+
+/**
+ * Effective compression settings from the configured ones, later settings overriding
+ * earlier ones, e.g. backup.compression and then a target's own. Each may be a boolean
+ * (gzip or none), an algorithm name or { algorithm, level, storeExtensions }.
+ * @returns {{algorithm: string, level: number|null, storeExtensions: string[]}}
+ */
+function resolveCompression(...settings) {
+  const resolved = { algorithm: 'gzip', storeExtensions: PRECOMPRESSED_EXTENSIONS };
+  
+  settings.filter(setting => setting !== undefined).forEach(setting => {
+    if (typeof setting === 'boolean') {
+      setting = { algorithm: setting ? 'gzip' : 'none' };
+    } else if (typeof setting === 'string') {
+      setting = { algorithm: setting };
+    }
+    
+    // A level given for another algorithm does not carry over
+    if (setting.algorithm && setting.algorithm !== resolved.algorithm && setting.level == null) {
+      delete resolved.level;
+    }
+    Object.assign(resolved, setting);
+  });
+  
+  const { minLevel, maxLevel, defaultLevel = null } = ALGORITHMS[resolved.algorithm];
+  const level = resolved.level == null ? defaultLevel : resolved.level;
+  
+  if (resolved.algorithm === 'none' && resolved.level != null) {
+    throw new Error('Compression level cannot be set without a compression algorithm');
+  }
+  if (level !== null && (level < minLevel || level > maxLevel)) {
+    throw new Error(`${resolved.algorithm} compression level must be between ${minLevel} and ${maxLevel}, got ${level}`);
+  }
+  
+  return {
+    algorithm: resolved.algorithm,
+    level,
+    storeExtensions: resolved.storeExtensions.map(extension => extension.toLowerCase())
+  };
+}
+
+// File name suffix of an algorithm, e.g. .gz
+const compressionExtension = (algorithm) => ALGORITHMS[algorithm].extension;
+
+// Algorithm a backup file was written with, from its name
+const compressionOf = (fileName) => {
+  if (fileName.endsWith('.gz')) return 'gzip';
+  if (fileName.endsWith('.zst')) return 'zstd';
+  return 'none';
+};
+
+// Whether a file is stored as is by the given settings, judged by its extension
+const isPrecompressed = (filePath, compression) => {
+  const extension = path.extname(filePath).slice(1).toLowerCase();
+  return extension.length > 0 && compression.storeExtensions.includes(extension);
+};
+
+// Stream data through a command's stdin and stdout. The output ends only once the
+// command has exited successfully, so a failure can never pass for a complete stream.
+const createCommandStream = (command, args) => {
+  const child = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'] });
+  let stderr = '';
+  
+  const stream = new Duplex({
+    write(chunk, encoding, callback) {
+      if (child.stdin.write(chunk)) {
+        callback();
+      } else {
+        child.stdin.once('drain', callback);
+      }
+    },
+    final(callback) {
+      child.stdin.end(callback);
+    },
+    read() {
+      child.stdout.resume();
+    },
+    destroy(error, callback) {
+      child.kill();
+      callback(error);
+    }
+  });
+  
+  child.stdout.on('data', (chunk) => {
+    if (!stream.push(chunk)) {
+      child.stdout.pause();
+    }
+  });
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH);
+  });
+  // The command exiting early closes stdin; its exit code carries the real error
+  child.stdin.on('error', () => {});
+  
+  child.on('error', (error) => {
+    stream.destroy(error.code === 'ENOENT' ? new Error(`${command} is not installed`) : error);
+  });
+  child.on('close', (code) => {
+    if (code === 0) {
+      stream.push(null);
+    } else {
+      stream.destroy(new Error(`${command} failed with code ${code}: ${stderr.trim()}`));
+    }
+  });
+  
+  return stream;
+};
+
+// Wrap data in zstd frames of raw blocks, which any zstd decoder reads back unchanged
+const createZstdRawStream = () => new Transform({
+  transform(chunk, encoding, callback) {
+    if (chunk.length === 0) {
+      return callback();
+    }
+    
+    const parts = [ZSTD_RAW_FRAME_HEADER];
+    for (let offset = 0; offset < chunk.length; offset += ZSTD_MAX_BLOCK_SIZE) {
+      const block = chunk.subarray(offset, offset + ZSTD_MAX_BLOCK_SIZE);
+      const last = offset + ZSTD_MAX_BLOCK_SIZE >= chunk.length ? 1 : 0;
+      // Block header: last-block flag, block type 0 (raw) and block size, little-endian
+      const header = Buffer.alloc(3);
+      header.writeUIntLE((block.length << 3) | last, 0, 3);
+      parts.push(header, block);
+    }
+    
+    callback(null, Buffer.concat(parts));
+  }
+});
+
+// Compress a stream with the given settings
+const createCompressStream = ({ algorithm, level }) => {
+  switch (algorithm) {
+    case 'gzip':
+      return zlib.createGzip({ level });
+    case 'zstd':
+      return createCommandStream('zstd', ['-q', '-c', `-${level}`]);
+    default:
+      return new PassThrough();
+  }
+};
+
+// Write a stream in an algorithm's format without compressing it. Its output can be
+// appended to that of createCompressStream and both decompress as one stream.
+const createStoreStream = (algorithm) => {
+  switch (algorithm) {
+    case 'gzip':
+      return zlib.createGzip({ level: 0 });
+    case 'zstd':
+      return createZstdRawStream();
+    default:
+      return new PassThrough();
+  }
+};
+
+// Decompress a stream written with the given algorithm
+const createDecompressStream = (algorithm) => {
+  switch (algorithm) {
+    case 'gzip':
+      return zlib.createGunzip();
+    case 'zstd':
+      return createCommandStream('zstd', ['-q', '-d', '-c']);
+    default:
+      return new PassThrough();
+  }
+};
+
+module.exports = {
+  COMPRESSION_ALGORITHMS: Object.keys(ALGORITHMS),
+  PRECOMPRESSED_EXTENSIONS,
+  resolveCompression,
+  compressionExtension,
+  compressionOf,
+  isPrecompressed,
+  createCompressStream,
+  createStoreStream,
+  createDecompressStream
+};
\ No newline at end of file
@@ -1,7 +1,10 @@
 const Joi = require('joi');
+const { Cron } = require('croner');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { COMPRESSION_ALGORITHMS, resolveCompression } = require('./compression');
+const { redactSecrets } = require('./utils');
 
 // Security utilities
 const sanitizeString = (str) => {
@@ -33,20 +36,369 @@ const validateCredential = (credential) => {
   return true;
 };
 
+const SUPPORTED_DATABASE_TYPES = ['mysql', 'mariadb', 'postgresql', 'mongodb', 'sqlite'];
+
+// ${VAR} or ${VAR:-default}; $${ stands for a literal ${
+const ENV_REFERENCE_PATTERN = /\$(\$?)\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+// A value of file:<path> is replaced by the contents of that file
+const FILE_REFERENCE_PREFIX = 'file:';
+// Values of these fields are secrets, as is everything read from a secret file
+const SECRET_FIELD_PATTERN = /password|passphrase|secret|token|accesskeyid|authorization/i;
+
+/**
+ * Resolve ${VAR}, ${VAR:-default} and file:<path> references in the string values of a
+ * parsed config file. Every unresolvable reference is reported at once.
+ * @param {*} rawConfig - Parsed config file
+ * @returns {{value: *, references: Array<{path: string, source: string, name: string, defaulted?: boolean}>, secrets: string[], literalSecrets: boolean}}
+ *   The resolved config, the references it made, the secret values they produced and
+ *   whether any secret field holds its value literally
+ */
+function resolveReferences(rawConfig) {
+  const references = [];
+  const secrets = new Set();
+  const errors = [];
+  let literalSecrets = false;
+  
+  const resolveString = (text, location, isSecret) => {
+    const referenceCount = references.length;
+    const keep = (reference, value, secret) => {
+      if (secret) {
+        secrets.add(value);
+      }
+      references.push({ path: location, ...reference });
+      return value;
+    };
+    
+    const interpolate = (template, secret) => template.replace(ENV_REFERENCE_PATTERN, (match, escaped, name, fallback) => {
+      if (escaped) {
+        return match.slice(1);
+      }
+      
+      // As in the shell, the default also replaces a variable that is set but empty
+      const envValue = process.env[name];
+      if (fallback !== undefined && !envValue) {
+        return keep({ source: 'environment', name, defaulted: true }, fallback, secret);
+      }
+      if (envValue === undefined) {
+        errors.push(`${location}: environment variable ${name} is not set`);
+        return match;
+      }
+      
+      return keep({ source: 'environment', name }, envValue, secret);
+    });
+    
+    if (!text.startsWith(FILE_REFERENCE_PREFIX)) {
+      const value = interpolate(text, isSecret);
+      literalSecrets = literalSecrets || (isSecret && value.length > 0 && references.length === referenceCount);
+      return value;
+    }
+    
+    const errorCount = errors.length;
+    // The path of a secret file is not secret itself
+    let filePath = interpolate(text.slice(FILE_REFERENCE_PREFIX.length), false);
+    if (errors.length > errorCount) {
+      return text;
+    }
+    
+    try {
+      filePath = sanitizeFilePath(filePath);
+      // Secret files usually end with a newline that is not part of the secret
+      const content = fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+      if (content.length === 0) {
+        errors.push(`${location}: secret file ${filePath} is empty`);
+        return text;
+      }
+      return keep({ source: 'file', name: filePath }, content, true);
+    } catch (error) {
+      errors.push(`${location}: cannot read secret file ${filePath}: ${error.code || error.message}`);
+      return text;
+    }
+  };
+  
+  const resolveValue = (value, location, isSecret) => {
+    if (typeof value === 'string') {
+      return resolveString(value, location, isSecret);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item, index) => resolveValue(item, `${location}[${index}]`, isSecret));
+    }
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        resolveValue(item, location ? `${location}.${key}` : key, SECRET_FIELD_PATTERN.test(key))
+      ]));
+    }
+    return value;
+  };
+  
+  const value = resolveValue(rawConfig, '', false);
+  
+  if (errors.length > 0) {
+    throw new Error(`Configuration reference error: ${errors.join(', ')}`);
+  }
+  
+  return { value, references, secrets: [...secrets], literalSecrets };
+}
+
+// true (gzip), false (none), an algorithm name, or the algorithm with its level and, for
+// directories, the file extensions archived without compression. Level ranges depend on
+// the algorithm and are checked once backup.compression and a target's own are merged.
+const compressionSchema = Joi.alternatives().conditional(Joi.object(), {
+  then: Joi.object({
+    algorithm: Joi.string().valid(...COMPRESSION_ALGORITHMS),
+    level: Joi.number().integer().min(1).max(19),
+    storeExtensions: Joi.array().items(
+      Joi.string().pattern(/^[a-zA-Z0-9]+$/).max(20)
+    ).unique()
+  }),
+  otherwise: Joi.alternatives().try(
+    Joi.boolean(),
+    Joi.string().valid(...COMPRESSION_ALGORITHMS)
+  )
+});
+
+// Command run before or after a target, or the whole run. abort fails the target (or run)
+// when the hook fails; continue only logs the failure.
+const hookSchema = Joi.object({
+  command: Joi.string().min(1).max(1000).required(),
+  args: Joi.array().items(Joi.string().max(1000)).default([]),
+  cwd: Joi.string().min(1).max(1000).optional(),
+  timeout: Joi.number().integer().min(1000).max(24 * 60 * 60 * 1000).default(5 * 60 * 1000),
+  onFailure: Joi.string().valid('abort', 'continue').default('abort')
+});
+
+const targetHookKeys = {
+  preHook: hookSchema.optional(),
+  postHook: hookSchema.optional()
+};
+
+const mysqlDatabaseSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('mysql', 'mariadb').required(),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().port().default(3306),
+  username: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).required(),
+  password: Joi.string().allow('').default(''),  // Allow empty password for local setups
+  database: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).required(),
+  // Optional MySQL/MariaDB config file path for additional security
+  configFile: Joi.string().optional(),
+  // Optional charset for proper encoding
+  charset: Joi.string().default('utf8mb4'),
+  compression: compressionSchema.optional(),
+  ...targetHookKeys
+});
+
+const postgresqlDatabaseSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('postgresql').required(),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().port().default(5432),
+  username: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(63).required(),
+  password: Joi.string().allow('').default(''),  // Allow empty password for trust/peer setups
+  database: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(63).required(),
+  // Optional existing .pgpass file instead of a temporary one
+  passFile: Joi.string().optional(),
+  // custom: compressed pg_dump archive for pg_restore, plain: compressed SQL script
+  format: Joi.string().valid('custom', 'plain').default('custom'),
+  schemas: Joi.array().items(
+    Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(63)
+  ).default([]),
+  excludeSchemas: Joi.array().items(
+    Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).max(63)
+  ).default([]),
+  compression: compressionSchema.optional(),
+  ...targetHookKeys
+});
+
+const mongodbDatabaseSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('mongodb').required(),
+  host: Joi.string().hostname().required(),
+  port: Joi.number().port().default(27017),
+  // Omit username for instances without authentication
+  username: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).optional(),
+  password: Joi.string().allow('').default(''),
+  authenticationDatabase: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).default('admin'),
+  // Omit database to dump every database of the instance
+  database: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).optional(),
+  // mongodump can include a single collection, or exclude any number of them
+  collection: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(120).optional(),
+  excludeCollections: Joi.array().items(
+    Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).max(120)
+  ).default([]).when('collection', {
+    is: Joi.exist(),
+    then: Joi.array().max(0).messages({ 'array.max': 'excludeCollections cannot be combined with collection' })
+  }),
+  // Capture the oplog for a consistent point in time (whole-instance dumps only)
+  oplog: Joi.boolean().default(false).when('database', {
+    is: Joi.exist(),
+    then: Joi.valid(false).messages({ 'any.only': 'oplog can only be captured when dumping all databases' })
+  }),
+  ...targetHookKeys
+}).with('collection', 'database');
+
+const sqliteDatabaseSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('sqlite').required(),
+  // Database file on the local filesystem
+  path: Joi.string().min(1).max(1000).required(),
+  compression: compressionSchema.optional(),
+  ...targetHookKeys
+});
+
+const auditSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  logFile: Joi.string().min(1).max(1000).default('backup-audit.log'),
+  // Rotation: size in bytes of the active log and number of files kept
+  maxFileSize: Joi.number().integer().min(1024).default(10 * 1024 * 1024),
+  maxFiles: Joi.number().integer().min(1).max(100).default(5),
+  // Optional local secret used to HMAC every entry on top of the hash chain
+  hmacKeyFile: Joi.string().min(1).max(1000).optional()
+}).default();
+
+const encryptionSchema = Joi.object({
+  // Encrypt new archives; a configured key still decrypts old ones when disabled
+  enabled: Joi.boolean().default(false),
+  // 32-byte key (raw or hex) that wraps each archive's data key
+  keyFile: Joi.string().min(1).max(1000).optional(),
+  // Or a passphrase the wrapping key is derived from with scrypt
+  passphrase: Joi.string().min(12).max(1000).optional(),
+  // Recorded in object metadata; defaults to the key file fingerprint
+  keyId: Joi.string().pattern(/^[a-zA-Z0-9_.-]+$/).min(1).max(64).optional()
+}).oxor('keyFile', 'passphrase').default();
+
+// Run statuses notifications can be sent on
+const NOTIFICATION_EVENTS = ['success', 'partial', 'failed'];
+
+// Run statuses a hook fires on, all of them by default
+const notificationEventsSchema = Joi.array().items(
+  Joi.string().valid(...NOTIFICATION_EVENTS)
+).min(1).unique().default(NOTIFICATION_EVENTS);
+
+// POSTs the run's JSON payload; timeout is per attempt, retries follow with backoff
+const webhookSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).optional(),
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  headers: Joi.object().pattern(Joi.string(), Joi.string()).default({}),
+  on: notificationEventsSchema,
+  timeout: Joi.number().integer().min(1000).max(5 * 60 * 1000).default(10 * 1000),
+  retries: Joi.number().integer().min(0).max(10).default(3)
+});
+
+// Runs a local program, without a shell, with the run's JSON payload on stdin
+const commandHookSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).optional(),
+  command: Joi.string().min(1).max(1000).required(),
+  args: Joi.array().items(Joi.string().max(1000)).default([]),
+  on: notificationEventsSchema,
+  timeout: Joi.number().integer().min(1000).max(60 * 60 * 1000).default(60 * 1000)
+});
+
+const notificationsSchema = Joi.object({
+  webhooks: Joi.array().items(webhookSchema).default([]),
+  commands: Joi.array().items(commandHookSchema).default([])
+}).default();
+
+// Prometheus metrics of backup runs: a file for the node_exporter textfile collector, and
+// in daemon mode an HTTP /metrics endpoint
+const metricsSchema = Joi.object({
+  textfile: Joi.string().min(1).max(1000).pattern(/\.prom$/).optional()
+    .messages({ 'string.pattern.base': '"metrics.textfile" must end in .prom to be read by the node_exporter textfile collector' }),
+  port: Joi.number().integer().min(1).max(65535).optional(),
+  host: Joi.string().min(1).max(255).default('127.0.0.1')
+}).default();
+
+const SUPPORTED_DESTINATION_TYPES = ['s3', 'local'];
+
+// Bucket, credentials and multipart settings of an S3 or S3-compatible service
+const s3Keys = {
+  region: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
+  bucket: Joi.string().pattern(/^[a-z0-9.-]+$/).min(3).max(63).required(),
+  accessKeyId: Joi.string().required(),
+  secretAccessKey: Joi.string().required(),
+  endpoint: Joi.string().uri().optional(),
+  forcePathStyle: Joi.boolean().default(false),
+  signatureVersion: Joi.string().valid('v2', 'v4').default('v4'),
+  // Multipart upload part size in bytes (S3 minimum 5 MiB) and parts in flight per file
+  partSize: Joi.number().integer().min(5 * 1024 * 1024).max(5 * 1024 * 1024 * 1024).default(8 * 1024 * 1024),
+  queueSize: Joi.number().integer().min(1).max(64).default(4),
+  // Attempts at each upload, part, listing and deletion request, with exponential backoff
+  // from baseDelay up to maxDelay (in ms) between them
+  retry: Joi.object({
+    attempts: Joi.number().integer().min(1).max(20).default(5),
+    baseDelay: Joi.number().integer().min(0).max(60 * 1000).default(1000),
+    maxDelay: Joi.number().integer().min(0).max(60 * 60 * 1000).default(30 * 1000)
+  }).default(),
+  // Local directory of multipart upload checkpoints, from which interrupted uploads resume
+  uploadStateDir: Joi.string().min(1).max(1000).optional(),
+  // Incomplete multipart uploads of the project older than this many hours are aborted after
+  // each run; 0 leaves them alone
+  abortIncompleteAfter: Joi.number().min(0).max(365 * 24).default(24)
+};
+
+// Retention of one destination; rules left out fall back to backup.retention
+const destinationRetentionSchema = Joi.object({
+  daily: Joi.number().integer().min(0).max(365),
+  weekly: Joi.number().integer().min(0).max(52),
+  monthly: Joi.number().integer().min(0).max(60)
+});
+
+const s3DestinationSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('s3').required(),
+  ...s3Keys,
+  retention: destinationRetentionSchema.optional()
+});
+
+// A directory on a local disk or mounted share, such as a NAS
+const localDestinationSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  type: Joi.string().valid('local').required(),
+  path: Joi.string().min(1).max(1000).required(),
+  retention: destinationRetentionSchema.optional()
+});
+
+// Five cron fields, or six with leading seconds, as the scheduler parses them
+const cronSchema = Joi.string().custom((value) => {
+  new Cron(value, { paused: true });
+  return value;
+}, 'cron expression');
+
+// IANA time zone name, e.g. Europe/Berlin
+const timezoneSchema = Joi.string().custom((value) => {
+  new Intl.DateTimeFormat('en-US', { timeZone: value });
+  return value;
+}, 'time zone');
+
+const scheduleSchema = Joi.object({
+  name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
+  cron: cronSchema.required(),
+  // Defaults to backup.timezone, then the host's time zone
+  timezone: timezoneSchema.optional(),
+  // Names of the directories and databases to back up; all of them when omitted
+  targets: Joi.array().items(Joi.string()).min(1).unique().optional()
+});
+
 const configSchema = Joi.object({
   project: Joi.object({
     name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(50).required()
   }).required(),
   
-  s3: Joi.object({
-    region: Joi.string().pattern(/^[a-z0-9-]+$/).required(),
-    bucket: Joi.string().pattern(/^[a-z0-9.-]+$/).min(3).max(63).required(),
-    accessKeyId: Joi.string().required(),
-    secretAccessKey: Joi.string().required(),
-    endpoint: Joi.string().uri().optional(),
-    forcePathStyle: Joi.boolean().default(false),
-    signatureVersion: Joi.string().valid('v2', 'v4').default('v4')
-  }).required(),
+  // Shorthand for the destination named "s3"
+  s3: Joi.object(s3Keys).optional(),
+  
+  // Every run is stored in full on each destination
+  destinations: Joi.array().items(
+    Joi.alternatives().conditional('.type', {
+      switch: [
+        { is: 's3', then: s3DestinationSchema },
+        { is: 'local', then: localDestinationSchema }
+      ],
+      otherwise: Joi.object({
+        type: Joi.string().valid(...SUPPORTED_DESTINATION_TYPES).required()
+      }).unknown()
+    })
+  ).unique('name').default([]),
   
   directories: Joi.array().items(
     Joi.object({
@@ -54,54 +406,240 @@ const configSchema = Joi.object({
       path: Joi.string().min(1).max(1000).required(),
       exclude: Joi.array().items(
         Joi.string().pattern(/^[a-zA-Z0-9_.*/-]+$/).max(200)
-      ).default([])
+      ).default([]),
+      // incremental: archive only files changed since the previous run's file index
+      mode: Joi.string().valid('full', 'incremental').default('full'),
+      // Incremental only: number of runs in a chain before a full backup is forced
+      fullEvery: Joi.number().integer().min(1).max(365).default(7),
+      compression: compressionSchema.optional(),
+      ...targetHookKeys
     })
   ).default([]),
   
   databases: Joi.array().items(
-    Joi.object({
-      name: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(100).required(),
-      type: Joi.string().valid('mysql', 'mariadb').required(),
-      host: Joi.string().hostname().required(),
-      port: Joi.number().port().default(3306),
-      username: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).required(),
-      password: Joi.string().allow('').default(''),  // Allow empty password for local setups
-      database: Joi.string().pattern(/^[a-zA-Z0-9_-]+$/).min(1).max(64).required(),
-      // Optional MySQL/MariaDB config file path for additional security
-      configFile: Joi.string().optional(),
-      // Optional charset for proper encoding
-      charset: Joi.string().default('utf8mb4')
+    Joi.alternatives().conditional('.type', {
+      switch: [
+        { is: Joi.valid('mysql', 'mariadb'), then: mysqlDatabaseSchema },
+        { is: 'postgresql', then: postgresqlDatabaseSchema },
+        { is: 'mongodb', then: mongodbDatabaseSchema },
+        { is: 'sqlite', then: sqliteDatabaseSchema }
+      ],
+      otherwise: Joi.object({
+        type: Joi.string().valid(...SUPPORTED_DATABASE_TYPES).required()
+      }).unknown()
     })
   ).default([]),
   
   backup: Joi.object({
-    schedule: Joi.string().pattern(/^[0-9*\s/-]+$/).optional(),
+    // Cron expression backing up every target when the daemon runs
+    schedule: cronSchema.optional(),
+    timezone: timezoneSchema.optional(),
+    // Further named schedules, each for its own subset of targets
+    schedules: Joi.array().items(scheduleSchema).unique('name').default([]),
     retention: Joi.object({
       daily: Joi.number().integer().min(0).max(365).default(7),
       weekly: Joi.number().integer().min(0).max(52).default(4),
       monthly: Joi.number().integer().min(0).max(60).default(12)
-    }).default({}),
-    compression: Joi.boolean().default(true),
+    }).default(),
+    // Targets archived, dumped and uploaded at the same time
+    concurrency: Joi.object({
+      archives: Joi.number().integer().min(1).max(32).default(1),
+      dumps: Joi.number().integer().min(1).max(32).default(1),
+      uploads: Joi.number().integer().min(1).max(32).default(2)
+    }).default(),
+    // failFast stops at the first failed target; continue backs up all others regardless
+    onError: Joi.string().valid('failFast', 'continue').default('failFast'),
+    // Default for every target; mongodump archives are always compressed by mongodump
+    compression: compressionSchema.default(true),
+    // Run before any target starts and after every target is stored and pruned
+    ...targetHookKeys,
     timestamp: Joi.boolean().default(true),
+    // Working directories of runs, kept after a failure or interruption so the next run can resume
+    stateDir: Joi.string().min(1).max(1000).optional(),
+    // Hours after its start within which an unfinished run is resumed; 0 never resumes one
+    resumeWithin: Joi.number().min(0).max(365 * 24).default(24),
     // New security options
     tempDir: Joi.string().optional(),
     filePermissions: Joi.string().pattern(/^[0-7]{3}$/).default('600')
-  }).default({})
+  }).default(),
+  
+  audit: auditSchema,
+  
+  encryption: encryptionSchema,
+  
+  notifications: notificationsSchema,
+  
+  metrics: metricsSchema
 });
 
-function loadConfig(configPath) {
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Merge config objects key by key, later ones winning; arrays and other values are replaced whole
+const mergeConfig = (...sources) => sources.reduce((merged, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeConfig(merged[key], value) : value;
+  });
+  return merged;
+}, {});
+
+// Fragment paths are relative to the file that names them
+const resolveFragmentPath = (fromFile, fragmentPath) => {
+  if (typeof fragmentPath !== 'string') {
+    throw new Error(`${fromFile}: fragment paths must be strings`);
+  }
+  return sanitizeFilePath(path.resolve(path.dirname(fromFile), fragmentPath));
+};
+
+/**
+ * Read a config file with its references resolved and the fragments it includes merged in
+ * beneath its own settings. Every file read is recorded in loaded, with the references and
+ * secrets it resolved.
+ * @param {string} filePath - Absolute path of the file
+ * @param {{files: Array, references: Array, secrets: string[]}} loaded - Collects what was read
+ * @param {string[]} chain - Files that led to this one, to detect include cycles
+ */
+function readConfigDocument(filePath, loaded, chain = []) {
+  if (chain.includes(filePath)) {
+    throw new Error(`Configuration include cycle: ${[...chain, filePath].join(' -> ')}`);
+  }
+  if (chain.length > 0 && !fs.existsSync(filePath)) {
+    throw new Error(`Configuration fragment not found: ${filePath} (from ${chain[chain.length - 1]})`);
+  }
+  
+  // Environment variables and secret files are read in before anything is validated
+  const resolved = resolveReferences(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  loaded.files.push({ path: filePath, literalSecrets: resolved.literalSecrets });
+  loaded.references.push(...resolved.references.map(reference => (chain.length > 0 ? { ...reference, file: filePath } : reference)));
+  loaded.secrets.push(...resolved.secrets);
+  
+  if (!isPlainObject(resolved.value)) {
+    throw new Error(`${filePath}: configuration must be a JSON object`);
+  }
+  
+  const { include = [], ...document } = resolved.value;
+  const fragments = [].concat(include).map(fragmentPath => (
+    readConfigDocument(resolveFragmentPath(filePath, fragmentPath), loaded, [...chain, filePath])
+  ));
+  
+  return mergeConfig(...fragments, document);
+}
+
+// Destinations and the s3 block may name an S3 profile; their own settings override the profile's
+const applyProfile = (settings, profiles) => {
+  if (!isPlainObject(settings) || settings.profile === undefined) {
+    return settings;
+  }
+  
+  const { profile, ...own } = settings;
+  if (!isPlainObject(profiles[profile])) {
+    throw new Error(`Unknown S3 profile: ${profile}`);
+  }
+  
+  return mergeConfig(profiles[profile], own);
+};
+
+/**
+ * Settings of one project of a config document: the document's shared settings, then the
+ * fragments the project extends, then its own. A document without projects is one project.
+ * @param {Object} document - Config document from readConfigDocument
+ * @param {string} [projectName] - Project to select; needed when the document has several
+ */
+function selectProject(document, projectName, configPath, loaded) {
+  const { profiles = {}, projects, ...shared } = document;
+  let settings = shared;
+  
+  if (projects === undefined) {
+    if (projectName && (!isPlainObject(shared.project) || shared.project.name !== projectName)) {
+      throw new Error(`Unknown project: ${projectName}`);
+    }
+  } else {
+    if (!Array.isArray(projects) || projects.length === 0 || !projects.every(isPlainObject)) {
+      throw new Error('projects must be a non-empty list of projects');
+    }
+    if (shared.project) {
+      throw new Error('Configuration sets both project and projects; name every project in projects');
+    }
+    
+    const names = projects.map(project => project.name);
+    if (!names.every(name => typeof name === 'string')) {
+      throw new Error('Every project in projects needs a name');
+    }
+    if (new Set(names).size !== names.length) {
+      throw new Error(`Project names must be unique: ${names.join(', ')}`);
+    }
+    
+    const entry = projectName ? projects.find(project => project.name === projectName) : projects.length === 1 && projects[0];
+    if (!entry) {
+      throw new Error(projectName
+        ? `Unknown project: ${projectName}. Projects: ${names.join(', ')}`
+        : `Configuration defines ${projects.length} projects (${names.join(', ')}); choose one`);
+    }
+    
+    const { name, extends: fragments = [], ...own } = entry;
+    const extended = [].concat(fragments).map(fragmentPath => (
+      readConfigDocument(resolveFragmentPath(configPath, fragmentPath), loaded, [configPath])
+    ));
+    settings = mergeConfig(shared, ...extended, own, { project: { name } });
+  }
+  
+  return {
+    ...settings,
+    ...(settings.s3 !== undefined && { s3: applyProfile(settings.s3, profiles) }),
+    ...(Array.isArray(settings.destinations) && {
+      destinations: settings.destinations.map(destination => applyProfile(destination, profiles))
+    })
+  };
+}
+
+// The projects a config file defines, in order, with the names of their targets. Nothing is
+// validated yet; loadConfig does that for the project it loads.
+function listProjects(configPath) {
+  const safePath = sanitizeFilePath(configPath);
+  const loaded = { files: [], references: [], secrets: [] };
+  
+  try {
+    const document = readConfigDocument(safePath, loaded);
+    const names = Array.isArray(document.projects)
+      ? document.projects.map(project => project && project.name)
+      : [isPlainObject(document.project) ? document.project.name : undefined];
+    
+    return names.map(name => {
+      const settings = selectProject(document, name, safePath, loaded);
+      const targets = [settings.directories, settings.databases]
+        .filter(Array.isArray)
+        .flatMap(list => list.map(target => target && target.name));
+      return { name, targets };
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error(`Configuration file not found: ${configPath}`);
+    }
+    err.message = redactSecrets(err.message, loaded.secrets);
+    throw err;
+  }
+}
+
+/**
+ * Load and validate the configuration of one project
+ * @param {string} configPath - Path of the config file
+ * @param {Object} [options]
+ * @param {string} [options.project] - Project to load from a file that defines several
+ */
+function loadConfig(configPath, options = {}) {
+  const loaded = { files: [], references: [], secrets: [] };
+  
   try {
     // Validate config file path
     const safePath = sanitizeFilePath(configPath);
     
-    // Security checks for config file
-    performConfigSecurityChecks(safePath);
+    const document = readConfigDocument(safePath, loaded);
+    const projectConfig = selectProject(document, options.project, safePath, loaded);
     
-    const configData = fs.readFileSync(safePath, 'utf8');
-    const config = JSON.parse(configData);
+    // Security checks for every file read, main config and fragments alike
+    loaded.files.forEach(file => performConfigSecurityChecks(file.path, file.literalSecrets));
     
     // Validate and sanitize
-    const { error, value } = configSchema.validate(config, { 
+    const { error, value } = configSchema.validate(projectConfig, { 
       abortEarly: false,
       stripUnknown: true 
     });
@@ -114,16 +652,76 @@ function loadConfig(configPath) {
     // Additional security validation
     validateSecurityConstraints(value);
     
+    // Not enumerable, so they never end up in logs or serialized copies of the config
+    Object.defineProperties(value, {
+      references: { value: loaded.references },
+      secrets: { value: [...new Set(loaded.secrets)] }
+    });
+    
     return value;
   } catch (err) {
     if (err.code === 'ENOENT') {
       throw new Error(`Configuration file not found: ${configPath}`);
     }
+    // Validation messages may quote the values that secrets were resolved into
+    err.message = redactSecrets(err.message, loaded.secrets);
     throw err;
   }
 }
 
-function performConfigSecurityChecks(configPath) {
+// Audit settings of a project merged from fragments and profiles as loadConfig does, but
+// without validating anything else
+function readAuditSettings(configPath, projectName) {
+  const safePath = sanitizeFilePath(configPath);
+  const loaded = { files: [], references: [], secrets: [] };
+  const document = readConfigDocument(safePath, loaded);
+  
+  try {
+    return selectProject(document, projectName, safePath, loaded).audit || {};
+  } catch (err) {
+    // No project to select: the settings every project shares
+    return document.audit || {};
+  }
+}
+
+/**
+ * Read just the audit settings of a config file, so that a config that fails
+ * validation can still be audited where the file asks for it
+ * @param {string} configPath - Path of the config file
+ * @param {Object} [options]
+ * @param {string} [options.project] - Project whose settings to read from a file that defines several
+ */
+function loadAuditConfig(configPath, options = {}) {
+  let rawAudit = {};
+  
+  try {
+    rawAudit = readAuditSettings(configPath, options.project);
+  } catch (err) {
+    // A reference elsewhere that cannot be resolved must not move the audit log, so the
+    // main file's own audit settings are tried alone
+    try {
+      rawAudit = resolveReferences(JSON.parse(fs.readFileSync(configPath, 'utf8')).audit || {}).value;
+    } catch (error) {
+      // Unreadable config or unresolvable audit settings: fall back to the defaults
+    }
+  }
+  
+  const { error, value } = auditSchema.validate(rawAudit, { stripUnknown: true });
+  const auditConfig = error ? auditSchema.validate({}).value : value;
+  auditConfig.logFile = path.resolve(auditConfig.logFile);
+  if (auditConfig.hmacKeyFile) {
+    auditConfig.hmacKeyFile = path.resolve(auditConfig.hmacKeyFile);
+  }
+  
+  return auditConfig;
+}
+
+function performConfigSecurityChecks(configPath, holdsSecrets = true) {
+  // A config that only references its credentials is safe to share and commit
+  if (!holdsSecrets) {
+    return;
+  }
+  
   // Check file permissions
   const stats = fs.statSync(configPath);
   const mode = stats.mode & parseInt('777', 8);
@@ -198,21 +796,45 @@ function checkGitIgnore(configPath, gitDir) {
   }
 }
 
-// Environment variable support is now optional - credentials primarily from config
-
 function validateSecurityConstraints(config) {
   // Validate project name
   if (!config.project || !config.project.name) {
     throw new Error('Project name must be provided in configuration');
   }
   
-  // Validate S3 credentials are present
-  if (!config.s3.accessKeyId || !config.s3.secretAccessKey) {
-    throw new Error('S3 credentials must be provided in configuration file');
+  // The s3 block is the destination named "s3", ahead of any others
+  if (config.s3) {
+    if (config.destinations.some(destination => destination.name === 's3')) {
+      throw new Error('Destination name "s3" is reserved for the s3 block');
+    }
+    config.destinations.unshift({ name: 's3', type: 's3', ...config.s3 });
+  }
+  
+  if (config.destinations.length === 0) {
+    throw new Error('No backup destination configured: set s3 or destinations');
   }
   
-  validateCredential(config.s3.accessKeyId);
-  validateCredential(config.s3.secretAccessKey);
+  if (config.backup.stateDir) {
+    config.backup.stateDir = sanitizeFilePath(config.backup.stateDir);
+  }
+  
+  config.destinations.forEach(destination => {
+    if (destination.type === 's3') {
+      // Validate S3 credentials are present
+      if (!destination.accessKeyId || !destination.secretAccessKey) {
+        throw new Error(`S3 credentials must be provided for destination ${destination.name}`);
+      }
+      
+      validateCredential(destination.accessKeyId);
+      validateCredential(destination.secretAccessKey);
+      
+      if (destination.uploadStateDir) {
+        destination.uploadStateDir = sanitizeFilePath(destination.uploadStateDir);
+      }
+    } else if (destination.type === 'local') {
+      destination.path = sanitizeFilePath(destination.path);
+    }
+  });
   
   // Validate database configurations
   config.databases.forEach((db, index) => {
@@ -225,18 +847,84 @@ function validateSecurityConstraints(config) {
     if (db.configFile) {
       sanitizeFilePath(db.configFile);
     }
+    if (db.passFile) {
+      sanitizeFilePath(db.passFile);
+    }
+    if (db.type === 'sqlite') {
+      db.path = sanitizeFilePath(db.path);
+    }
     
     // Validate database type
-    if (!['mysql', 'mariadb'].includes(db.type)) {
-      throw new Error(`Unsupported database type: ${db.type}. Only MySQL and MariaDB are supported.`);
+    if (!SUPPORTED_DATABASE_TYPES.includes(db.type)) {
+      throw new Error(`Unsupported database type: ${db.type}. Supported types: ${SUPPORTED_DATABASE_TYPES.join(', ')}.`);
     }
     
-    // Warn about empty passwords in production
-    if (!db.password || db.password.length === 0) {
+    // Warn about empty passwords in production; SQLite files have none
+    if (db.type !== 'sqlite' && (!db.password || db.password.length === 0)) {
       console.warn(`⚠️  WARNING: Database ${db.name} has no password. This is only recommended for local development.`);
     }
   });
   
+  if (config.encryption.keyFile) {
+    config.encryption.keyFile = sanitizeFilePath(config.encryption.keyFile);
+  }
+  if (config.encryption.enabled && !config.encryption.keyFile && !config.encryption.passphrase) {
+    throw new Error('Encryption is enabled but neither encryption.keyFile nor encryption.passphrase is set');
+  }
+  
+  if (config.backup.schedule && config.backup.schedules.some(schedule => schedule.name === 'default')) {
+    throw new Error('Schedule name "default" is reserved for backup.schedule');
+  }
+  
+  // Schedules may only name configured targets
+  const targetNames = [...config.directories, ...config.databases].map(target => target.name);
+  config.backup.schedules.forEach(schedule => {
+    const unknown = (schedule.targets || []).filter(name => !targetNames.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Schedule ${schedule.name} names unknown target(s): ${unknown.join(', ')}`);
+    }
+  });
+  
+  // The manifests prefix sits next to the target prefixes in S3
+  [...config.directories, ...config.databases].forEach(target => {
+    if (target.name === 'manifests') {
+      throw new Error(`Target name "manifests" is reserved for run manifests`);
+    }
+  });
+  
+  // Hooks run in their configured working directory, or the current one
+  [config.backup, ...config.directories, ...config.databases].forEach(scope => {
+    [scope.preHook, scope.postHook].filter(hook => hook && hook.cwd).forEach(hook => {
+      hook.cwd = sanitizeFilePath(hook.cwd);
+    });
+  });
+  
+  if (config.metrics.textfile) {
+    config.metrics.textfile = sanitizeFilePath(config.metrics.textfile);
+  }
+  
+  config.audit.logFile = path.resolve(config.audit.logFile);
+  if (config.audit.hmacKeyFile) {
+    config.audit.hmacKeyFile = sanitizeFilePath(config.audit.hmacKeyFile);
+  }
+  
+  // Each target gets its effective compression settings, its own over backup.compression
+  try {
+    config.backup.compression = resolveCompression(config.backup.compression);
+  } catch (error) {
+    throw new Error(`Invalid backup.compression: ${error.message}`);
+  }
+  [...config.directories, ...config.databases].forEach(target => {
+    if (target.type === 'mongodb') {
+      return;
+    }
+    try {
+      target.compression = resolveCompression(config.backup.compression, target.compression);
+    } catch (error) {
+      throw new Error(`Invalid compression for ${target.name}: ${error.message}`);
+    }
+  });
+  
   // Validate directory paths
   config.directories.forEach(dir => {
     dir.path = sanitizeFilePath(dir.path);
@@ -252,6 +940,9 @@ function validateSecurityConstraints(config) {
 
 module.exports = { 
   loadConfig, 
+  loadAuditConfig, 
+  listProjects, 
+  resolveReferences, 
   sanitizeString, 
   sanitizeFilePath, 
   validateCredential 
@@ -4,9 +4,12 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
-const archiver = require('archiver');
+const { pipeline } = require('stream/promises');
+const tar = require('tar');
 const { sanitizeString, sanitizeFilePath } = require('./config');
-const { generateTimestampedFilename } = require('./utils');
+const { generateTimestampedFilename, mapWithConcurrency } = require('./utils');
+const { resolveCompression, compressionExtension, compressionOf, createCompressStream, createDecompressStream } = require('./compression');
+const AuditLogger = require('./audit-logger');
 
 // Secure command execution helper
 const execSecureCommand = (command, args, options = {}) => {
@@ -41,6 +44,148 @@ const execSecureCommand = (command, args, options = {}) => {
   });
 };
 
+// Only the tail of stderr is kept; a failing dump can be very chatty
+const MAX_STDERR_LENGTH = 64 * 1024;
+
+// Secure command execution helper that streams stdout through compression into a
+// file instead of buffering it, removing the partial file on any failure
+const streamSecureCommandToFile = async (command, args, outputFile, options = {}) => {
+  const { failOnStderr, compression = resolveCompression(), ...spawnOptions } = options;
+  
+  const child = spawn(command, args, {
+    stdio: ['ignore', 'pipe', 'pipe'],
+    ...spawnOptions
+  });
+  
+  let stderr = '';
+  
+  child.stderr.on('data', (data) => {
+    stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH);
+  });
+  
+  const exited = new Promise((resolve, reject) => {
+    child.on('close', resolve);
+    child.on('error', reject);
+  });
+  
+  const written = pipeline(
+    child.stdout,
+    createCompressStream(compression),
+    fs.createWriteStream(outputFile, { mode: 0o600 })
+  );
+  
+  const [exit, write] = await Promise.allSettled([exited, written]);
+  
+  let failure = null;
+  
+  if (exit.status === 'rejected') {
+    failure = exit.reason;
+  } else if (write.status === 'rejected') {
+    failure = write.reason;
+  } else if (exit.value !== 0) {
+    failure = new Error(`Command failed with code ${exit.value}: ${stderr}`);
+  } else if (failOnStderr && failOnStderr.test(stderr)) {
+    failure = new Error(`Command reported an error: ${stderr}`);
+  }
+  
+  if (failure) {
+    child.kill();
+    if (fs.existsSync(outputFile)) {
+      fs.unlinkSync(outputFile);
+    }
+    throw failure;
+  }
+  
+  return { stderr };
+};
+
+// Secure command execution helper that feeds a stream to the command's stdin
+const pipeToSecureCommand = (command, args, input, options = {}) => {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      stdio: ['pipe', 'pipe', 'pipe'],
+      ...options
+    });
+    
+    let stdout = '';
+    let stderr = '';
+    
+    child.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+    
+    child.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    
+    child.on('close', (code) => {
+      if (code === 0) {
+        resolve({ stdout, stderr });
+      } else {
+        reject(new Error(`Command failed with code ${code}: ${stderr}`));
+      }
+    });
+    
+    child.on('error', (error) => {
+      reject(error);
+    });
+    
+    // The command exiting early closes stdin; its exit code carries the real error
+    child.stdin.on('error', () => {});
+    input.on('error', (error) => {
+      child.kill();
+      reject(error);
+    });
+    
+    input.pipe(child.stdin);
+  });
+};
+
+// Open the SQL dump of a backup as a stream. Dumps are .sql files, compressed
+// as their extension says; older backups wrapped the .sql file in a tar.gz archive.
+const openSqlDump = (archivePath) => {
+  if (/\.sql(\.gz|\.zst)?$/.test(archivePath)) {
+    const input = fs.createReadStream(archivePath);
+    const decompress = createDecompressStream(compressionOf(archivePath));
+    input.on('error', (error) => decompress.destroy(error));
+    return Promise.resolve(input.pipe(decompress));
+  }
+  
+  return new Promise((resolve, reject) => {
+    let sqlEntry = null;
+    
+    const parser = new tar.Parser({
+      strict: true,
+      // Entries must not start flowing before the caller has piped them
+      noResume: true,
+      onReadEntry: (entry) => {
+        if (!sqlEntry && entry.type === 'File' && entry.path.endsWith('.sql')) {
+          sqlEntry = entry;
+          resolve(entry);
+        } else {
+          entry.resume();
+        }
+      }
+    });
+    
+    parser.on('error', (error) => {
+      // Corruption after the dump started streaming must still reach the consumer
+      if (sqlEntry) {
+        sqlEntry.emit('error', error);
+      } else {
+        reject(error);
+      }
+    });
+    parser.on('end', () => {
+      if (!sqlEntry) {
+        reject(new Error('No SQL dump found in archive'));
+      }
+    });
+    
+    fs.createReadStream(archivePath).on('error', reject).pipe(parser);
+  });
+};
+
 // Create secure temporary file with restricted permissions
 const createSecureTempFile = (prefix, suffix = '') => {
   const tempDir = os.tmpdir();
@@ -70,24 +215,115 @@ user=${sanitizeString(dbConfig.username)}
 ${passwordLine}
 default-character-set=${dbConfig.charset || 'utf8mb4'}
 `;
-  
+
   fs.writeFileSync(configPath, configContent, { mode: 0o600 });
   return configPath;
 };
 
+// Escape a .pgpass field; backslashes and colons are the only special characters
+const escapePgPassField = (value) => String(value).replace(/\\/g, '\\\\').replace(/:/g, '\\:');
+
+// Create PostgreSQL password file with credentials, used through PGPASSFILE
+const createPgPassFile = (dbConfig) => {
+  const passFilePath = createSecureTempFile(`${dbConfig.type}-pgpass`, '.pgpass');
+  
+  const passFileContent = [
+    sanitizeString(dbConfig.host),
+    dbConfig.port,
+    sanitizeString(dbConfig.database),
+    sanitizeString(dbConfig.username),
+    dbConfig.password || ''
+  ].map(escapePgPassField).join(':') + '\n';
+  
+  // libpq ignores password files that are readable by anyone else
+  fs.writeFileSync(passFilePath, passFileContent, { mode: 0o600 });
+  return passFilePath;
+};
+
+// Connection arguments shared by pg_dump, pg_restore and psql; the password
+// only ever comes from the password file
+const postgresqlConnectionArgs = (dbConfig, database) => [
+  `--host=${sanitizeString(dbConfig.host)}`,
+  `--port=${dbConfig.port}`,
+  `--username=${sanitizeString(dbConfig.username)}`,
+  `--dbname=${sanitizeString(database)}`,
+  '--no-password'
+];
+
+// Create mongodump/mongorestore config file holding the password, so it
+// never appears on the command line
+const createMongoConfigFile = (dbConfig) => {
+  const configPath = createSecureTempFile(`${dbConfig.type}-config`, '.yaml');
+  
+  // Credentials are validated to contain no quotes, so single quoting is safe
+  fs.writeFileSync(configPath, `password: '${dbConfig.password}'\n`, { mode: 0o600 });
+  return configPath;
+};
+
+// Connection arguments shared by mongodump and mongorestore
+const mongodbConnectionArgs = (dbConfig, configPath) => {
+  const args = [
+    `--host=${sanitizeString(dbConfig.host)}`,
+    `--port=${dbConfig.port}`
+  ];
+  
+  if (dbConfig.username) {
+    args.push(`--username=${sanitizeString(dbConfig.username)}`);
+    args.push(`--authenticationDatabase=${sanitizeString(dbConfig.authenticationDatabase)}`);
+  }
+  
+  if (configPath) {
+    args.push(`--config=${configPath}`);
+  }
+  
+  return args;
+};
+
+// File name suffix of a database's dump, e.g. .sql.gz
+const dumpExtension = (dbConfig) => {
+  const { algorithm } = dbConfig.compression || resolveCompression();
+  
+  switch (dbConfig.type) {
+    case 'postgresql':
+      // Custom format archives are compressed by pg_dump itself; pg_restore detects how
+      return dbConfig.format === 'plain' ? `.sql${compressionExtension(algorithm)}` : '.dump';
+    case 'mongodb':
+      // mongodump archives compress each collection internally; the file itself is not gzip
+      return '.archive';
+    case 'sqlite':
+      return `.sqlite${compressionExtension(algorithm)}`;
+    default:
+      return `.sql${compressionExtension(algorithm)}`;
+  }
+};
+
+// Collection no database has, so mongodump only has to connect and authenticate
+const MONGODB_CHECK_COLLECTION = 'backup-to-s3-connection-check';
+
+// Run PRAGMA integrity_check against a SQLite file, throwing on any reported problem
+const checkSQLiteIntegrity = async (databasePath) => {
+  const result = await execSecureCommand('sqlite3', ['-readonly', databasePath, 'PRAGMA integrity_check;']);
+  const output = result.stdout.trim();
+  
+  if (output !== 'ok') {
+    throw new Error(`Integrity check failed: ${output.split('\n').slice(0, 5).join('; ')}`);
+  }
+};
+
 class DatabaseBackup {
-  constructor(logger) {
+  constructor(logger, auditLogger = new AuditLogger({ enabled: false })) {
     this.logger = logger;
+    this.auditLogger = auditLogger;
   }
 
   async backupMySQL(dbConfig, outputPath, timestamp) {
-    const { name, type, host, port, username, password, database, configFile, charset } = dbConfig;
-    const dumpFile = createSecureTempFile(`${type}-${sanitizeString(name)}`, '.sql');
-    const tempArchivePath = createSecureTempFile(`${type}-${sanitizeString(name)}`, '.tar.gz');
-    const timestampedFilename = generateTimestampedFilename(sanitizeString(name), '.tar.gz', timestamp);
+    const { name, type, password, database, configFile, compression = resolveCompression() } = dbConfig;
+    const timestampedFilename = this.dumpFileName(dbConfig, timestamp);
     const finalArchivePath = path.join(sanitizeFilePath(outputPath), timestampedFilename);
+    const partialArchivePath = `${finalArchivePath}.partial`;
     
     this.logger.info(`Starting ${type.toUpperCase()} backup: ${name}`);
+    const startTime = Date.now();
     
     let tempConfigFile = null;
     
@@ -96,6 +332,7 @@ class DatabaseBackup {
       const configPath = configFile ? 
         sanitizeFilePath(configFile) : 
         (tempConfigFile = createMySQLConfigFile(dbConfig));
+      this.auditLogger.logCredentialAccess(configFile ? 'mysql_config' : 'config_file', type);
       
       // Sanitize database name
       const safeDatabase = sanitizeString(database);
@@ -117,10 +354,10 @@ class DatabaseBackup {
         safeDatabase
       ];
       
-      // Add MariaDB specific options if needed
+      // Add MariaDB specific options if needed. Comments stay enabled: the
+      // "Dump completed" trailer is what verification checks for.
       if (type === 'mariadb') {
         args.push('--skip-add-locks');
-        args.push('--skip-comments');
       }
       
       // For empty passwords, add --skip-password option
@@ -128,28 +365,29 @@ class DatabaseBackup {
         args.push('--skip-password');
       }
       
-      // Execute mysqldump with output redirection
-      const result = await execSecureCommand('mysqldump', args);
-      
-      // Write SQL dump to temporary file
-      fs.writeFileSync(dumpFile, result.stdout, { mode: 0o600 });
-      
-      // Create compressed archive containing the SQL dump
-      const sqlFilename = generateTimestampedFilename(sanitizeString(name), '.sql', timestamp);
-      await this.createCompressedArchive(dumpFile, tempArchivePath, sqlFilename);
+      // Stream the dump through compression straight into the archive; errors
+      // that mysqldump only reports on stderr must fail the backup as well
+      await streamSecureCommandToFile('mysqldump', args, partialArchivePath, {
+        compression,
+        failOnStderr: /^mysqldump: (Error|Got error|Couldn't)/m
+      });
       
-      // Move to final location with proper permissions
-      fs.copyFileSync(tempArchivePath, finalArchivePath);
+      fs.renameSync(partialArchivePath, finalArchivePath);
       fs.chmodSync(finalArchivePath, 0o600);
       
       const stats = fs.statSync(finalArchivePath);
       
-      this.logger.info(`${type.toUpperCase()} backup completed: ${name} (${stats.size} bytes compressed)`);
+      this.logger.info(`${type.toUpperCase()} backup completed: ${name} (${stats.size} bytes, compression: ${compression.algorithm})`);
       
       return {
         name,
+        type: 'database',
+        databaseType: type,
+        source: safeDatabase,
         path: finalArchivePath,
-        size: stats.size
+        size: stats.size,
+        compression: compression.algorithm,
+        duration: Date.now() - startTime
       };
     } catch (error) {
       this.logger.error(`${type.toUpperCase()} backup failed for ${name}: ${error.message}`);
@@ -159,11 +397,8 @@ class DatabaseBackup {
       if (tempConfigFile && fs.existsSync(tempConfigFile)) {
         fs.unlinkSync(tempConfigFile);
       }
-      if (fs.existsSync(dumpFile)) {
-        fs.unlinkSync(dumpFile);
-      }
-      if (fs.existsSync(tempArchivePath)) {
-        fs.unlinkSync(tempArchivePath);
+      if (fs.existsSync(partialArchivePath)) {
+        fs.unlinkSync(partialArchivePath);
       }
     }
   }
@@ -173,33 +408,310 @@ class DatabaseBackup {
     return this.backupMySQL(dbConfig, outputPath, timestamp);
   }
 
-  // Create compressed archive from SQL dump file
-  async createCompressedArchive(sqlFile, archivePath, sqlFileName) {
-    return new Promise((resolve, reject) => {
-      const output = fs.createWriteStream(archivePath, { mode: 0o600 });
-      const archive = archiver('tar', {
-        gzip: true,
-        gzipOptions: {
-          level: 9
-        }
-      });
+  async backupPostgreSQL(dbConfig, outputPath, timestamp) {
+    const { name, type, database, passFile, format, schemas = [], excludeSchemas = [], compression = resolveCompression() } = dbConfig;
+    const timestampedFilename = this.dumpFileName(dbConfig, timestamp);
+    const finalArchivePath = path.join(sanitizeFilePath(outputPath), timestampedFilename);
+    const partialArchivePath = `${finalArchivePath}.partial`;
+    
+    this.logger.info(`Starting POSTGRESQL backup: ${name} (${format} format)`);
+    const startTime = Date.now();
+    
+    let tempPassFile = null;
+    
+    try {
+      // Use existing password file or create temporary one
+      const passFilePath = passFile ? 
+        sanitizeFilePath(passFile) : 
+        (tempPassFile = createPgPassFile(dbConfig));
+      this.auditLogger.logCredentialAccess(passFile ? 'pgpass' : 'config_file', type);
+      
+      const safeDatabase = sanitizeString(database);
+      
+      const args = [
+        ...postgresqlConnectionArgs(dbConfig, safeDatabase),
+        ...schemas.map(schema => `--schema=${sanitizeString(schema)}`),
+        ...excludeSchemas.map(schema => `--exclude-schema=${sanitizeString(schema)}`)
+      ];
+      
+      const options = {
+        env: { ...process.env, PGPASSFILE: passFilePath }
+      };
+      
+      if (format === 'plain') {
+        // Drop objects before recreating them on replay, like mysqldump --add-drop-table
+        args.push('--format=plain', '--clean', '--if-exists');
+        await streamSecureCommandToFile('pg_dump', args, partialArchivePath, {
+          ...options,
+          compression,
+          failOnStderr: /^pg_dump: error:/m
+        });
+      } else {
+        // zstd needs pg_dump 16 or later
+        const compress = {
+          none: '0',
+          gzip: String(compression.level),
+          zstd: `zstd:${compression.level}`
+        }[compression.algorithm];
+        args.push('--format=custom', `--compress=${compress}`, `--file=${partialArchivePath}`);
+        await execSecureCommand('pg_dump', args, options);
+      }
+      
+      fs.renameSync(partialArchivePath, finalArchivePath);
+      fs.chmodSync(finalArchivePath, 0o600);
       
-      output.on('close', () => {
-        resolve();
+      const stats = fs.statSync(finalArchivePath);
+      
+      this.logger.info(`POSTGRESQL backup completed: ${name} (${stats.size} bytes, compression: ${compression.algorithm})`);
+      
+      return {
+        name,
+        type: 'database',
+        databaseType: type,
+        source: safeDatabase,
+        path: finalArchivePath,
+        size: stats.size,
+        compression: compression.algorithm,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      this.logger.error(`POSTGRESQL backup failed for ${name}: ${error.message}`);
+      throw new Error(`POSTGRESQL backup failed for ${name}: Command execution failed`);
+    } finally {
+      // Clean up temporary files
+      if (tempPassFile && fs.existsSync(tempPassFile)) {
+        fs.unlinkSync(tempPassFile);
+      }
+      if (fs.existsSync(partialArchivePath)) {
+        fs.unlinkSync(partialArchivePath);
+      }
+    }
+  }
+
+  async backupMongoDB(dbConfig, outputPath, timestamp) {
+    const { name, type, username, password, database, collection, excludeCollections = [], oplog } = dbConfig;
+    const timestampedFilename = this.dumpFileName(dbConfig, timestamp);
+    const finalArchivePath = path.join(sanitizeFilePath(outputPath), timestampedFilename);
+    const partialArchivePath = `${finalArchivePath}.partial`;
+    
+    this.logger.info(`Starting MONGODB backup: ${name}`);
+    const startTime = Date.now();
+    
+    let tempConfigFile = null;
+    
+    try {
+      if (username && password && password.length > 0) {
+        tempConfigFile = createMongoConfigFile(dbConfig);
+        this.auditLogger.logCredentialAccess('config_file', type);
+      }
+      
+      const args = [
+        ...mongodbConnectionArgs(dbConfig, tempConfigFile),
+        `--archive=${partialArchivePath}`,
+        '--gzip',
+        '--quiet'
+      ];
+      
+      if (database) {
+        args.push(`--db=${sanitizeString(database)}`);
+      }
+      if (collection) {
+        args.push(`--collection=${sanitizeString(collection)}`);
+      }
+      excludeCollections.forEach(excluded => {
+        args.push(`--excludeCollection=${sanitizeString(excluded)}`);
       });
+      if (oplog) {
+        args.push('--oplog');
+      }
+      
+      await execSecureCommand('mongodump', args);
       
-      output.on('error', reject);
-      archive.on('error', reject);
+      fs.renameSync(partialArchivePath, finalArchivePath);
+      fs.chmodSync(finalArchivePath, 0o600);
       
-      archive.pipe(output);
+      const stats = fs.statSync(finalArchivePath);
       
-      // Add the SQL file to the archive with the proper name
-      archive.file(sqlFile, { name: sqlFileName });
+      this.logger.info(`MONGODB backup completed: ${name} (${stats.size} bytes compressed)`);
       
-      archive.finalize();
-    });
+      return {
+        name,
+        type: 'database',
+        databaseType: type,
+        source: database ? sanitizeString(database) : 'all databases',
+        path: finalArchivePath,
+        size: stats.size,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      this.logger.error(`MONGODB backup failed for ${name}: ${error.message}`);
+      throw new Error(`MONGODB backup failed for ${name}: Command execution failed`);
+    } finally {
+      // Clean up temporary files
+      if (tempConfigFile && fs.existsSync(tempConfigFile)) {
+        fs.unlinkSync(tempConfigFile);
+      }
+      if (fs.existsSync(partialArchivePath)) {
+        fs.unlinkSync(partialArchivePath);
+      }
+    }
   }
 
+  // Snapshot a live SQLite file with the online backup API, then compress the snapshot
+  async backupSQLite(dbConfig, outputPath, timestamp) {
+    const { name, type, compression = resolveCompression() } = dbConfig;
+    const databasePath = sanitizeFilePath(dbConfig.path);
+    const timestampedFilename = this.dumpFileName(dbConfig, timestamp);
+    const finalArchivePath = path.join(sanitizeFilePath(outputPath), timestampedFilename);
+    const partialArchivePath = `${finalArchivePath}.partial`;
+    const snapshotPath = path.join(sanitizeFilePath(outputPath), `${sanitizeString(name)}-${crypto.randomBytes(8).toString('hex')}.sqlite`);
+    
+    this.logger.info(`Starting SQLITE backup: ${name}`);
+    const startTime = Date.now();
+    
+    try {
+      // sqlite3 would silently create a missing database file
+      if (!fs.existsSync(databasePath)) {
+        throw new Error(`Database file not found: ${databasePath}`);
+      }
+      
+      // .backup copies pages through the online backup API, so concurrent
+      // writers never leave the snapshot torn
+      await execSecureCommand('sqlite3', [databasePath, `.backup '${snapshotPath}'`]);
+      fs.chmodSync(snapshotPath, 0o600);
+      
+      // The snapshot inherits WAL mode; switch it back so opening it never
+      // needs -wal/-shm side files, here or after a restore
+      await execSecureCommand('sqlite3', [snapshotPath, 'PRAGMA journal_mode=DELETE;']);
+      await checkSQLiteIntegrity(snapshotPath);
+      
+      await pipeline(
+        fs.createReadStream(snapshotPath),
+        createCompressStream(compression),
+        fs.createWriteStream(partialArchivePath, { mode: 0o600 })
+      );
+      
+      fs.renameSync(partialArchivePath, finalArchivePath);
+      
+      const stats = fs.statSync(finalArchivePath);
+      
+      this.logger.info(`SQLITE backup completed: ${name} (${stats.size} bytes, compression: ${compression.algorithm})`);
+      
+      return {
+        name,
+        type: 'database',
+        databaseType: type,
+        source: databasePath,
+        path: finalArchivePath,
+        size: stats.size,
+        compression: compression.algorithm,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      this.logger.error(`SQLITE backup failed for ${name}: ${error.message}`);
+      throw new Error(`SQLITE backup failed for ${name}: ${error.message.startsWith('Integrity check failed') ? error.message : 'Command execution failed'}`);
+    } finally {
+      // Clean up temporary files
+      if (fs.existsSync(snapshotPath)) {
+        fs.unlinkSync(snapshotPath);
+      }
+      if (fs.existsSync(partialArchivePath)) {
+        fs.unlinkSync(partialArchivePath);
+      }
+    }
+  }
+
+  // Name of the dump file a backup of the database writes
+  dumpFileName(dbConfig, timestamp) {
+    return generateTimestampedFilename(sanitizeString(dbConfig.name), dumpExtension(dbConfig), timestamp);
+  }
+
+  // Connect with the configured credentials and run a trivial query, without dumping anything
+  async checkConnection(dbConfig) {
+    const { name, type, username, password, database, configFile, passFile } = dbConfig;
+    const tempFiles = [];
+    // Nothing is fed to the clients, so none can sit waiting for input
+    const stdio = ['ignore', 'pipe', 'pipe'];
+    
+    try {
+      switch (type) {
+        case 'mysql':
+        case 'mariadb': {
+          const configPath = configFile ? sanitizeFilePath(configFile) : createMySQLConfigFile(dbConfig);
+          if (!configFile) {
+            tempFiles.push(configPath);
+          }
+          this.auditLogger.logCredentialAccess(configFile ? 'mysql_config' : 'config_file', type);
+          
+          const args = [
+            `--defaults-file=${configPath}`,
+            '--connect-timeout=10',
+            '--batch',
+            '--skip-column-names',
+            '--execute=SELECT 1',
+            sanitizeString(database)
+          ];
+          if (!password || password.length === 0) {
+            args.push('--skip-password');
+          }
+          await execSecureCommand('mysql', args, { stdio });
+          break;
+        }
+        case 'postgresql': {
+          const passFilePath = passFile ? sanitizeFilePath(passFile) : createPgPassFile(dbConfig);
+          if (!passFile) {
+            tempFiles.push(passFilePath);
+          }
+          this.auditLogger.logCredentialAccess(passFile ? 'pgpass' : 'config_file', type);
+          
+          await execSecureCommand('psql', [
+            ...postgresqlConnectionArgs(dbConfig, database),
+            '--no-psqlrc',
+            '--tuples-only',
+            '--command=SELECT 1'
+          ], { stdio, env: { ...process.env, PGPASSFILE: passFilePath, PGCONNECT_TIMEOUT: '10' } });
+          break;
+        }
+        case 'mongodb': {
+          let configPath = null;
+          if (username && password && password.length > 0) {
+            configPath = createMongoConfigFile(dbConfig);
+            tempFiles.push(configPath);
+            this.auditLogger.logCredentialAccess('config_file', type);
+          }
+          
+          // Dumping a missing collection to stdout writes only an empty archive
+          await execSecureCommand('mongodump', [
+            ...mongodbConnectionArgs(dbConfig, configPath),
+            `--db=${sanitizeString(database || 'admin')}`,
+            `--collection=${MONGODB_CHECK_COLLECTION}`,
+            '--archive',
+            '--quiet'
+          ], { stdio });
+          break;
+        }
+        case 'sqlite': {
+          const databasePath = sanitizeFilePath(dbConfig.path);
+          // sqlite3 would silently create a missing database file
+          if (!fs.existsSync(databasePath)) {
+            throw new Error(`Database file not found: ${databasePath}`);
+          }
+          await execSecureCommand('sqlite3', ['-readonly', databasePath, 'SELECT count(*) FROM sqlite_master;'], { stdio });
+          break;
+        }
+        default:
+          throw new Error(`Unsupported database type: ${type}. Supported types: mysql, mariadb, postgresql, mongodb, sqlite.`);
+      }
+      
+      this.logger.info(`Connection check passed: ${name}`);
+    } catch (error) {
+      const message = error.code === 'ENOENT' ? `${error.path} is not installed` : error.message.trim();
+      this.logger.error(`Connection check failed for ${name}: ${message}`);
+      throw new Error(`Connection check failed for ${name}: ${message}`);
+    } finally {
+      tempFiles.filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+    }
+  }
 
   async backupDatabase(dbConfig, outputPath, timestamp) {
     switch (dbConfig.type) {
@@ -207,25 +719,272 @@ class DatabaseBackup {
         return this.backupMySQL(dbConfig, outputPath, timestamp);
       case 'mariadb':
         return this.backupMariaDB(dbConfig, outputPath, timestamp);
+      case 'postgresql':
+        return this.backupPostgreSQL(dbConfig, outputPath, timestamp);
+      case 'mongodb':
+        return this.backupMongoDB(dbConfig, outputPath, timestamp);
+      case 'sqlite':
+        return this.backupSQLite(dbConfig, outputPath, timestamp);
+      default:
+        throw new Error(`Unsupported database type: ${dbConfig.type}. Supported types: mysql, mariadb, postgresql, mongodb, sqlite.`);
+    }
+  }
+
+  // Replay a SQL dump archive through the mysql client
+  async restoreMySQL(dbConfig, archivePath, options = {}) {
+    const { name, type, password, configFile } = dbConfig;
+    const safeDatabase = sanitizeString(options.database || dbConfig.database);
+    
+    this.logger.info(`Starting ${type.toUpperCase()} restore: ${name} into database ${safeDatabase}`);
+    
+    let tempConfigFile = null;
+    
+    try {
+      // Use existing config file or create temporary one
+      const configPath = configFile ? 
+        sanitizeFilePath(configFile) : 
+        (tempConfigFile = createMySQLConfigFile(dbConfig));
+      this.auditLogger.logCredentialAccess(configFile ? 'mysql_config' : 'config_file', type);
+      
+      const args = [
+        `--defaults-file=${configPath}`,
+        safeDatabase
+      ];
+      
+      // For empty passwords, add --skip-password option
+      if (!password || password.length === 0) {
+        args.push('--skip-password');
+      }
+      
+      const sqlStream = await openSqlDump(archivePath);
+      await pipeToSecureCommand('mysql', args, sqlStream);
+      
+      this.logger.info(`${type.toUpperCase()} restore completed: ${name}`);
+      
+      return {
+        name,
+        database: safeDatabase
+      };
+    } catch (error) {
+      this.logger.error(`${type.toUpperCase()} restore failed for ${name}: ${error.message}`);
+      throw new Error(`${type.toUpperCase()} restore failed for ${name}: Command execution failed`);
+    } finally {
+      if (tempConfigFile && fs.existsSync(tempConfigFile)) {
+        fs.unlinkSync(tempConfigFile);
+      }
+    }
+  }
+
+  // Restore custom format archives with pg_restore and replay plain dumps through psql
+  async restorePostgreSQL(dbConfig, archivePath, options = {}) {
+    const { name, type, passFile } = dbConfig;
+    const safeDatabase = sanitizeString(options.database || dbConfig.database);
+    
+    this.logger.info(`Starting POSTGRESQL restore: ${name} into database ${safeDatabase}`);
+    
+    let tempPassFile = null;
+    
+    try {
+      // Use existing password file or create temporary one
+      const passFilePath = passFile ? 
+        sanitizeFilePath(passFile) : 
+        (tempPassFile = createPgPassFile({ ...dbConfig, database: safeDatabase }));
+      this.auditLogger.logCredentialAccess(passFile ? 'pgpass' : 'config_file', type);
+      
+      const args = postgresqlConnectionArgs(dbConfig, safeDatabase);
+      const commandOptions = {
+        env: { ...process.env, PGPASSFILE: passFilePath }
+      };
+      
+      if (archivePath.endsWith('.dump')) {
+        await execSecureCommand('pg_restore', [...args, '--clean', '--if-exists', archivePath], commandOptions);
+      } else {
+        const sqlStream = await openSqlDump(archivePath);
+        await pipeToSecureCommand('psql', [...args, '--quiet', '--set=ON_ERROR_STOP=1'], sqlStream, commandOptions);
+      }
+      
+      this.logger.info(`POSTGRESQL restore completed: ${name}`);
+      
+      return {
+        name,
+        database: safeDatabase
+      };
+    } catch (error) {
+      this.logger.error(`POSTGRESQL restore failed for ${name}: ${error.message}`);
+      throw new Error(`POSTGRESQL restore failed for ${name}: Command execution failed`);
+    } finally {
+      if (tempPassFile && fs.existsSync(tempPassFile)) {
+        fs.unlinkSync(tempPassFile);
+      }
+    }
+  }
+
+  // Restore a mongodump archive, dropping collections before they are restored
+  async restoreMongoDB(dbConfig, archivePath, options = {}) {
+    const { name, type, username, password, database, oplog } = dbConfig;
+    const targetDatabase = options.database ? sanitizeString(options.database) : null;
+    
+    if (targetDatabase && !database) {
+      throw new Error(`Cannot restore ${name} into another database: the backup contains all databases`);
+    }
+    
+    this.logger.info(`Starting MONGODB restore: ${name}${targetDatabase ? ` into database ${targetDatabase}` : ''}`);
+    
+    let tempConfigFile = null;
+    
+    try {
+      if (username && password && password.length > 0) {
+        tempConfigFile = createMongoConfigFile(dbConfig);
+        this.auditLogger.logCredentialAccess('config_file', type);
+      }
+      
+      const args = [
+        ...mongodbConnectionArgs(dbConfig, tempConfigFile),
+        `--archive=${archivePath}`,
+        '--gzip',
+        '--drop',
+        '--quiet'
+      ];
+      
+      if (targetDatabase) {
+        args.push(`--nsFrom=${sanitizeString(database)}.*`);
+        args.push(`--nsTo=${targetDatabase}.*`);
+      }
+      if (oplog) {
+        args.push('--oplogReplay');
+      }
+      
+      await execSecureCommand('mongorestore', args);
+      
+      this.logger.info(`MONGODB restore completed: ${name}`);
+      
+      return {
+        name,
+        database: targetDatabase || database || 'all databases'
+      };
+    } catch (error) {
+      this.logger.error(`MONGODB restore failed for ${name}: ${error.message}`);
+      throw new Error(`MONGODB restore failed for ${name}: Command execution failed`);
+    } finally {
+      if (tempConfigFile && fs.existsSync(tempConfigFile)) {
+        fs.unlinkSync(tempConfigFile);
+      }
+    }
+  }
+
+  // Replace the SQLite file with a snapshot, checked before it is moved into place.
+  // The application using the file must be stopped first.
+  async restoreSQLite(dbConfig, archivePath, options = {}) {
+    const { name } = dbConfig;
+    const databasePath = sanitizeFilePath(dbConfig.path);
+    const partialPath = `${databasePath}.partial`;
+    
+    if (options.database) {
+      throw new Error(`SQLite target ${name} restores to its configured path; --database is not supported`);
+    }
+    
+    this.logger.info(`Starting SQLITE restore: ${name} into ${databasePath}`);
+    
+    try {
+      await pipeline(
+        fs.createReadStream(archivePath),
+        createDecompressStream(compressionOf(archivePath)),
+        fs.createWriteStream(partialPath, { mode: 0o600 })
+      );
+      
+      await checkSQLiteIntegrity(partialPath);
+      
+      // A leftover write-ahead log belongs to the replaced database
+      for (const suffix of ['-wal', '-shm']) {
+        if (fs.existsSync(`${databasePath}${suffix}`)) {
+          fs.unlinkSync(`${databasePath}${suffix}`);
+        }
+      }
+      fs.renameSync(partialPath, databasePath);
+      
+      this.logger.info(`SQLITE restore completed: ${name}`);
+      
+      return {
+        name,
+        database: databasePath
+      };
+    } catch (error) {
+      this.logger.error(`SQLITE restore failed for ${name}: ${error.message}`);
+      throw new Error(`SQLITE restore failed for ${name}: ${error.message.startsWith('Integrity check failed') ? error.message : 'Command execution failed'}`);
+    } finally {
+      if (fs.existsSync(partialPath)) {
+        fs.unlinkSync(partialPath);
+      }
+    }
+  }
+
+  async restoreDatabase(dbConfig, archivePath, options = {}) {
+    switch (dbConfig.type) {
+      case 'mysql':
+      case 'mariadb':
+        return this.restoreMySQL(dbConfig, archivePath, options);
+      case 'postgresql':
+        return this.restorePostgreSQL(dbConfig, archivePath, options);
+      case 'mongodb':
+        return this.restoreMongoDB(dbConfig, archivePath, options);
+      case 'sqlite':
+        return this.restoreSQLite(dbConfig, archivePath, options);
       default:
-        throw new Error(`Unsupported database type: ${dbConfig.type}. Only MySQL and MariaDB are supported.`);
+        throw new Error(`Unsupported database type: ${dbConfig.type}. Supported types: mysql, mariadb, postgresql, mongodb, sqlite.`);
     }
   }
 
-  async backupDatabases(databases, outputPath, timestamp) {
-    const results = [];
+  // Report the versions of the dump tools used for the configured databases
+  async getToolVersions(databases) {
+    const tools = {
+      mysql: 'mysqldump',
+      mariadb: 'mysqldump',
+      postgresql: 'pg_dump',
+      mongodb: 'mongodump',
+      sqlite: 'sqlite3'
+    };
+    const versions = {};
     
-    for (const database of databases) {
+    for (const command of new Set(databases.map(db => tools[db.type]).filter(Boolean))) {
       try {
-        const result = await this.backupDatabase(database, outputPath, timestamp);
-        results.push(result);
+        const result = await execSecureCommand(command, ['--version']);
+        // Some tools print build details after the version line
+        versions[command] = result.stdout.trim().split('\n')[0];
       } catch (error) {
-        this.logger.error(`Failed to backup database ${database.name}: ${error.message}`);
-        throw error;
+        this.logger.warn(`Could not determine ${command} version: ${error.message}`);
+        versions[command] = 'unknown';
       }
     }
     
-    return results;
+    return versions;
+  }
+
+  // Dump databases, at most options.concurrency at a time, calling options.onBackup
+  // with each dump as soon as it is written and options.onFailure with each database
+  // that could not be dumped. failFast, signal and hooks work as for backupDirectories.
+  async backupDatabases(databases, outputPath, timestamp, options = {}) {
+    const { concurrency = 1, failFast = true, signal, hooks, onBackup = () => {}, onFailure = () => {} } = options;
+    
+    const results = await mapWithConcurrency(databases, concurrency, async (database) => {
+      try {
+        const backup = () => this.backupDatabase(database, outputPath, timestamp);
+        const result = await (hooks ? hooks.around(database, backup) : backup());
+        this.auditLogger.logDatabaseBackup(database, true, result.size);
+        onBackup(result);
+        return result;
+      } catch (error) {
+        this.auditLogger.logDatabaseBackup(database, false);
+        this.logger.error(`Failed to backup database ${database.name}: ${error.message}`);
+        onFailure(database, error);
+        if (failFast) {
+          throw error;
+        }
+        return null;
+      }
+    }, { signal });
+    
+    // Without failFast, failed targets are only reported through onFailure
+    return results.filter(Boolean);
   }
 }
 
@@ -1,11 +1,21 @@
 const fs = require('fs');
 const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline, finished } = require('stream/promises');
 const archiver = require('archiver');
+const readdirGlob = require('readdir-glob');
+const tar = require('tar');
 const { promisify } = require('util');
 const crypto = require('crypto');
 const os = require('os');
 const { sanitizeString, sanitizeFilePath } = require('./config');
-const { generateTimestampedFilename } = require('./utils');
+const { INDEX_EXTENSION, generateTimestamp, generateTimestampedFilename, hashFile, mapWithConcurrency } = require('./utils');
+const { resolveCompression, compressionExtension, compressionOf, isPrecompressed, createCompressStream, createStoreStream, createDecompressStream } = require('./compression');
+const AuditLogger = require('./audit-logger');
+
+const INDEX_VERSION = 1;
 
 // Create secure temporary file with restricted permissions
 const createSecureTempFile = (prefix, suffix = '') => {
@@ -20,13 +30,234 @@ const createSecureTempFile = (prefix, suffix = '') => {
   return tempPath;
 };
 
+// Remove potentially dangerous characters from exclusion patterns
+const sanitizeExcludePatterns = (exclude, logger) => {
+  return exclude.map(pattern => {
+    if (typeof pattern !== 'string') {
+      logger.warn(`Invalid exclusion pattern type: ${typeof pattern}`);
+      return '';
+    }
+    return pattern.replace(/[;&|`$(){}\[\]<>"'\\]/g, '');
+  }).filter(pattern => pattern.length > 0);
+};
+
+// List every entry under a directory with the same matching rules archive.glob uses
+const scanDirectory = (dirPath, exclude) => {
+  return new Promise((resolve, reject) => {
+    const matches = [];
+    const globber = readdirGlob(dirPath, {
+      pattern: '**/*',
+      ignore: exclude,
+      dot: true,
+      follow: false,
+      stat: true
+    });
+    
+    globber.on('match', (match) => matches.push(match));
+    globber.on('error', reject);
+    globber.on('end', () => resolve(matches));
+  });
+};
+
+// Scanned entries held at most while the archive catches up; the scan pauses beyond this
+const SCAN_BUFFER_LENGTH = 1000;
+// Entries handed to archiver at most before it has written them, as it queues every one
+const ARCHIVE_QUEUE_LENGTH = 100;
+
+// Yield every entry under a directory as scanDirectory lists them, without holding
+// more than SCAN_BUFFER_LENGTH of them at a time
+const walkDirectory = async function* (dirPath, exclude) {
+  const globber = readdirGlob(dirPath, {
+    pattern: '**/*',
+    ignore: exclude,
+    dot: true,
+    follow: false,
+    stat: true
+  });
+  const buffered = [];
+  let ended = false;
+  let failure = null;
+  let wake = () => {};
+  
+  globber.on('match', (match) => {
+    buffered.push(match);
+    if (buffered.length >= SCAN_BUFFER_LENGTH) {
+      globber.pause();
+    }
+    wake();
+  });
+  globber.on('error', (error) => {
+    failure = error;
+    wake();
+  });
+  globber.on('end', () => {
+    ended = true;
+    wake();
+  });
+  
+  try {
+    while (buffered.length > 0 || !ended) {
+      if (buffered.length > 0) {
+        yield buffered.shift();
+        continue;
+      }
+      if (failure) {
+        throw failure;
+      }
+      globber.resume();
+      await new Promise(resolve => { wake = resolve; });
+    }
+  } finally {
+    globber.abort();
+  }
+};
+
+// File name suffix of a directory archive, e.g. .tar.gz
+const archiveExtension = (compression) => `.tar${compressionExtension(compression.algorithm)}`;
+
+// The largest files of scanned entries, as { path, size }, largest first
+const largestFiles = (matches, count) => matches
+  .filter(match => match.stat.isFile())
+  .sort((a, b) => b.stat.size - a.stat.size)
+  .slice(0, count)
+  .map(match => ({ path: match.relative, size: match.stat.size }));
+
+const totalSize = (matches) => matches.reduce((sum, match) => sum + (match.stat.isFile() ? match.stat.size : 0), 0);
+
+const entryType = (stats) => {
+  if (stats.isFile()) return 'file';
+  if (stats.isDirectory()) return 'directory';
+  if (stats.isSymbolicLink()) return 'symlink';
+  return null;
+};
+
+// archiver ends every tar stream with two zero blocks
+const TAR_TRAILER_LENGTH = 1024;
+
+// Hold back the end of a tar stream, so that another one can continue it, unless isLast
+// says once the stream ends that none will
+const createTrailerStrip = (isLast) => {
+  let tail = Buffer.alloc(0);
+  
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const data = Buffer.concat([tail, chunk]);
+      tail = data.subarray(Math.max(0, data.length - TAR_TRAILER_LENGTH));
+      callback(null, data.subarray(0, data.length - tail.length));
+    },
+    flush(callback) {
+      callback(null, isLast() ? tail : null);
+    }
+  });
+};
+
+// Append a tar stream of the given entries, an array or async iterable, to output through
+// a compression stream; isLast says at its end whether the tar stream ends there. Entries
+// without stats are stat'ed by archiver, which skips those gone by then.
+const writeTarSegment = async (entries, output, compressStream, isLast) => {
+  const archive = archiver('tar');
+  const streams = [createTrailerStrip(isLast), compressStream];
+  const written = pipeline(...streams, output, { end: false });
+  let added = 0;
+  let done = 0;
+  let failed = false;
+  let drained = () => {};
+  
+  // archiver is not part of the pipeline: destroying it mid-entry throws from its internals
+  archive.on('error', (error) => streams[0].destroy(error));
+  ['entry', 'warning'].forEach(event => archive.on(event, () => {
+    done++;
+    drained();
+  }));
+  archive.pipe(streams[0]);
+  
+  const adding = (async () => {
+    for await (const entry of entries) {
+      archive.file(entry.absolute, { name: entry.relative, ...(entry.stat && { stats: entry.stat }) });
+      added++;
+      while (!failed && added - done >= ARCHIVE_QUEUE_LENGTH) {
+        await new Promise(resolve => { drained = resolve; });
+      }
+      if (failed) {
+        return;
+      }
+    }
+    archive.finalize().catch(() => {});
+  })().catch(error => streams[0].destroy(error));
+  
+  try {
+    await written;
+  } catch (error) {
+    failed = true;
+    drained();
+    // Neither destroy() nor abort() stops archiver safely mid-entry; let it run dry instead
+    archive.unpipe();
+    archive.resume();
+    throw error;
+  } finally {
+    await adding;
+  }
+};
+
+// Write a tar archive holding only the given scanned entries, an array or async iterable.
+// Precompressed files go last, in a segment of the same format that is not compressed; as
+// the segments are one tar stream and one compressed stream, the archive reads back with
+// any tar and decompressor. Until then their paths wait in a file rather than in memory.
+const writeArchive = async (archivePath, entries, compression) => {
+  const storedListPath = createSecureTempFile('stored', '.list');
+  const storedList = fs.openSync(storedListPath, 'w');
+  let stored = 0;
+  
+  const compressed = async function* () {
+    for await (const entry of entries) {
+      if (entry.stat.isFile() && isPrecompressed(entry.relative, compression)) {
+        fs.writeSync(storedList, `${JSON.stringify([entry.relative, entry.absolute])}\n`);
+        stored++;
+      } else {
+        yield entry;
+      }
+    }
+  };
+  const storedEntries = async function* () {
+    for await (const line of readline.createInterface({ input: fs.createReadStream(storedListPath), crlfDelay: Infinity })) {
+      const [relative, absolute] = JSON.parse(line);
+      yield { relative, absolute };
+    }
+  };
+  
+  const output = fs.createWriteStream(archivePath, { mode: 0o600 });
+  
+  try {
+    // The scan is done by the end of the compressed segment, so stored is final by then
+    await writeTarSegment(compressed(), output, createCompressStream(compression), () => stored === 0);
+    if (stored > 0) {
+      await writeTarSegment(storedEntries(), output, createStoreStream(compression.algorithm), () => true);
+    }
+    output.end();
+    await finished(output);
+  } catch (error) {
+    output.destroy();
+    throw error;
+  } finally {
+    fs.closeSync(storedList);
+    fs.rmSync(storedListPath, { force: true });
+  }
+  
+  return { stored };
+};
+
 class DirectoryBackup {
-  constructor(logger) {
+  constructor(logger, auditLogger = new AuditLogger({ enabled: false })) {
     this.logger = logger;
+    this.auditLogger = auditLogger;
   }
 
-  async backupDirectory(directoryConfig, outputPath, timestamp) {
-    const { name, path: dirPath, exclude = [] } = directoryConfig;
+  async backupDirectory(directoryConfig, outputPath, timestamp, previousIndex = null) {
+    const { name, path: dirPath, exclude = [], mode = 'full', compression = resolveCompression() } = directoryConfig;
+    
+    if (mode === 'incremental') {
+      return this.backupIncremental(directoryConfig, outputPath, timestamp, previousIndex);
+    }
     
     // Sanitize inputs
     const safeName = sanitizeString(name);
@@ -34,6 +265,7 @@ class DirectoryBackup {
     const safeOutputPath = sanitizeFilePath(outputPath);
     
     this.logger.info(`Starting backup of directory: ${name} (${safeDirPath})`);
+    const startTime = Date.now();
     
     // Validate source directory exists and is accessible
     if (!fs.existsSync(safeDirPath)) {
@@ -45,98 +277,306 @@ class DirectoryBackup {
       throw new Error(`Source path is not a directory: ${safeDirPath}`);
     }
     
+    // Entries go into the archive as the scan finds them, so that no list of them is kept
+    let entries = 0;
+    const walk = walkDirectory(safeDirPath, sanitizeExcludePatterns(exclude, this.logger));
+    const matches = (async function* () {
+      for await (const match of walk) {
+        if (match.stat && entryType(match.stat)) {
+          entries++;
+          yield match;
+        }
+      }
+    })();
+    
     // Create temporary file with secure permissions
-    const tempArchivePath = createSecureTempFile(`dir-${safeName}`, '.tar.gz');
-    const timestampedFilename = generateTimestampedFilename(safeName, '.tar.gz', timestamp);
+    const extension = archiveExtension(compression);
+    const tempArchivePath = createSecureTempFile(`dir-${safeName}`, extension);
+    const timestampedFilename = generateTimestampedFilename(safeName, extension, timestamp);
     const finalArchivePath = path.join(safeOutputPath, timestampedFilename);
     
-    return new Promise((resolve, reject) => {
-      const output = fs.createWriteStream(tempArchivePath, { mode: 0o600 });
-      const archive = archiver('tar', {
-        gzip: true,
-        gzipOptions: {
-          level: 9
-        }
-      });
+    try {
+      const { stored } = await writeArchive(tempArchivePath, matches, compression);
       
-      output.on('close', () => {
-        try {
-          // Move to final location with proper permissions
-          fs.copyFileSync(tempArchivePath, finalArchivePath);
-          fs.chmodSync(finalArchivePath, 0o600);
-          
-          const finalStats = fs.statSync(finalArchivePath);
-          
-          this.logger.info(`Directory backup completed: ${name} (${finalStats.size} bytes)`);
-          resolve({
-            name,
-            path: finalArchivePath,
-            size: finalStats.size
-          });
-        } catch (error) {
-          reject(new Error(`Failed to finalize archive for ${name}: ${error.message}`));
-        } finally {
-          // Clean up temporary file
-          if (fs.existsSync(tempArchivePath)) {
-            fs.unlinkSync(tempArchivePath);
-          }
-        }
-      });
+      // Move to final location with proper permissions
+      fs.copyFileSync(tempArchivePath, finalArchivePath);
+      fs.chmodSync(finalArchivePath, 0o600);
       
-      output.on('error', (err) => {
-        // Clean up temporary file on error
-        if (fs.existsSync(tempArchivePath)) {
-          fs.unlinkSync(tempArchivePath);
-        }
-        reject(err);
-      });
+      const finalStats = fs.statSync(finalArchivePath);
       
-      archive.on('error', (err) => {
-        // Clean up temporary file on error
-        if (fs.existsSync(tempArchivePath)) {
-          fs.unlinkSync(tempArchivePath);
-        }
-        reject(new Error(`Archive creation failed for ${name}: ${err.message}`));
-      });
+      this.logger.info(`Directory backup completed: ${name} (${entries} entries, ${stored} stored uncompressed, ${finalStats.size} bytes)`);
       
-      archive.pipe(output);
+      return {
+        name,
+        type: 'directory',
+        source: safeDirPath,
+        path: finalArchivePath,
+        size: finalStats.size,
+        compression: compression.algorithm,
+        duration: Date.now() - startTime
+      };
+    } catch (error) {
+      if (fs.existsSync(finalArchivePath)) {
+        fs.unlinkSync(finalArchivePath);
+      }
+      throw new Error(`Archive creation failed for ${name}: ${error.message}`);
+    } finally {
+      // Clean up temporary file
+      if (fs.existsSync(tempArchivePath)) {
+        fs.unlinkSync(tempArchivePath);
+      }
+    }
+  }
+
+  // Archive only entries that changed since the previous run's index, and write
+  // the index of this run next to the archive. Every entry in the index names the
+  // run whose archive holds its current content, so any run can be restored.
+  async backupIncremental(directoryConfig, outputPath, timestamp = generateTimestamp(), previousIndex = null) {
+    const { name, path: dirPath, exclude = [], fullEvery = 7, compression = resolveCompression() } = directoryConfig;
+    
+    const safeName = sanitizeString(name);
+    const safeDirPath = sanitizeFilePath(dirPath);
+    const safeOutputPath = sanitizeFilePath(outputPath);
+    
+    if (!fs.existsSync(safeDirPath) || !fs.statSync(safeDirPath).isDirectory()) {
+      throw new Error(`Directory not found: ${safeDirPath}`);
+    }
+    
+    // Start a new chain when there is nothing to build on or the chain is long enough
+    const full = !previousIndex || previousIndex.chainLength >= fullEvery;
+    const previousEntries = new Map(full ? [] : previousIndex.entries.map(entry => [entry.path, entry]));
+    
+    this.logger.info(`Starting ${full ? 'full' : 'incremental'} backup of directory: ${name} (${safeDirPath})`);
+    const startTime = Date.now();
+    
+    const matches = await scanDirectory(safeDirPath, sanitizeExcludePatterns(exclude, this.logger));
+    const entries = [];
+    const changed = [];
+    
+    for (const match of matches) {
+      const type = match.stat ? entryType(match.stat) : null;
+      if (!type) {
+        continue;
+      }
       
-      // Sanitize exclusion patterns
-      const safeExclude = exclude.map(pattern => {
-        if (typeof pattern !== 'string') {
-          this.logger.warn(`Invalid exclusion pattern type: ${typeof pattern}`);
-          return '';
-        }
-        // Remove potentially dangerous patterns
-        return pattern.replace(/[;&|`$(){}\[\]<>"'\\]/g, '');
-      }).filter(pattern => pattern.length > 0);
+      const entry = {
+        path: match.relative,
+        type,
+        size: type === 'file' ? match.stat.size : 0,
+        mtime: Math.floor(match.stat.mtimeMs),
+        sha256: null,
+        archive: timestamp
+      };
+      const previous = previousEntries.get(entry.path);
       
-      archive.glob('**/*', {
-        cwd: safeDirPath,
-        ignore: safeExclude,
-        dot: true,
-        // Security: prevent following symlinks outside the directory
-        follow: false
-      });
+      // Unchanged size and mtime: trust the previous hash without reading the file
+      if (previous && previous.type === type && previous.size === entry.size && previous.mtime === entry.mtime) {
+        entries.push({ ...entry, sha256: previous.sha256, archive: previous.archive });
+        continue;
+      }
       
-      archive.finalize();
-    });
+      if (type === 'file') {
+        entry.sha256 = await hashFile(match.absolute);
+      } else if (type === 'symlink') {
+        entry.sha256 = crypto.createHash('sha256').update(fs.readlinkSync(match.absolute)).digest('hex');
+      }
+      
+      // Touched but identical content stays in the archive that already has it
+      if (previous && previous.type === type && previous.sha256 === entry.sha256) {
+        entries.push({ ...entry, archive: previous.archive });
+        continue;
+      }
+      
+      entries.push(entry);
+      changed.push(match);
+    }
+    
+    const currentPaths = new Set(entries.map(entry => entry.path));
+    const deleted = [...previousEntries.keys()].filter(entryPath => !currentPaths.has(entryPath));
+    
+    const finalArchivePath = path.join(safeOutputPath, generateTimestampedFilename(safeName, archiveExtension(compression), timestamp));
+    const indexPath = path.join(safeOutputPath, generateTimestampedFilename(safeName, INDEX_EXTENSION, timestamp));
+    const index = {
+      version: INDEX_VERSION,
+      name,
+      timestamp,
+      mode: full ? 'full' : 'incremental',
+      base: full ? timestamp : previousIndex.base,
+      previous: full ? null : previousIndex.timestamp,
+      chainLength: full ? 1 : previousIndex.chainLength + 1,
+      deleted,
+      entries
+    };
+    
+    let stored;
+    try {
+      ({ stored } = await writeArchive(finalArchivePath, changed, compression));
+      fs.writeFileSync(indexPath, zlib.gzipSync(JSON.stringify(index)), { mode: 0o600 });
+    } catch (error) {
+      [finalArchivePath, indexPath].forEach(file => {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file);
+        }
+      });
+      throw new Error(`Archive creation failed for ${name}: ${error.message}`);
+    }
+    
+    const finalStats = fs.statSync(finalArchivePath);
+    
+    this.logger.info(`Directory backup completed: ${name} (${index.mode}, ${changed.length} changed, ${deleted.length} deleted, ${stored} stored uncompressed, ${finalStats.size} bytes)`);
+    
+    return {
+      name,
+      type: 'directory',
+      source: safeDirPath,
+      path: finalArchivePath,
+      size: finalStats.size,
+      compression: compression.algorithm,
+      duration: Date.now() - startTime,
+      mode: index.mode,
+      base: index.base,
+      indexPath
+    };
   }
-  
-  async backupDirectories(directories, outputPath, timestamp) {
-    const results = [];
+
+  // Work out what backing up a directory would archive, without writing anything.
+  // Changes of an incremental run are judged by size and mtime only, as no file is hashed,
+  // so touched files with unchanged content are counted too.
+  async planDirectory(directoryConfig, timestamp, previousIndex = null, options = {}) {
+    const { name, path: dirPath, exclude = [], mode = 'full', fullEvery = 7, compression = resolveCompression() } = directoryConfig;
+    const { largest = 5 } = options;
+    
+    const safeName = sanitizeString(name);
+    const safeDirPath = sanitizeFilePath(dirPath);
+    
+    if (!fs.existsSync(safeDirPath) || !fs.statSync(safeDirPath).isDirectory()) {
+      throw new Error(`Directory not found: ${safeDirPath}`);
+    }
+    
+    const usable = (matches) => matches.filter(match => match.stat && entryType(match.stat));
+    const included = usable(await scanDirectory(safeDirPath, sanitizeExcludePatterns(exclude, this.logger)));
+    const includedPaths = new Set(included.map(match => match.relative));
+    const excluded = usable(await scanDirectory(safeDirPath, [])).filter(match => !includedPaths.has(match.relative));
+    
+    const incremental = mode === 'incremental';
+    const full = !incremental || !previousIndex || previousIndex.chainLength >= fullEvery;
+    let archived = included;
+    let deleted = 0;
+    
+    if (!full) {
+      const previousEntries = new Map(previousIndex.entries.map(entry => [entry.path, entry]));
+      archived = included.filter(match => {
+        const previous = previousEntries.get(match.relative);
+        const size = match.stat.isFile() ? match.stat.size : 0;
+        return !previous || previous.type !== entryType(match.stat) || previous.size !== size || previous.mtime !== Math.floor(match.stat.mtimeMs);
+      });
+      deleted = [...previousEntries.keys()].filter(entryPath => !includedPaths.has(entryPath)).length;
+    }
     
-    for (const directory of directories) {
+    return {
+      name,
+      type: 'directory',
+      source: safeDirPath,
+      mode: full ? 'full' : 'incremental',
+      fileName: generateTimestampedFilename(safeName, archiveExtension(compression), timestamp),
+      ...(incremental && {
+        indexFileName: generateTimestampedFilename(safeName, INDEX_EXTENSION, timestamp),
+        base: full ? timestamp : previousIndex.base
+      }),
+      entries: included.length,
+      bytes: totalSize(included),
+      archived: {
+        entries: archived.length,
+        bytes: totalSize(archived),
+        stored: archived.filter(match => match.stat.isFile() && isPrecompressed(match.relative, compression)).length
+      },
+      deleted,
+      excluded: { entries: excluded.length, bytes: totalSize(excluded) },
+      largestIncluded: largestFiles(included, largest),
+      largestExcluded: largestFiles(excluded, largest)
+    };
+  }
+
+  // Archive directories, at most options.concurrency at a time. options.onBackup is
+  // called with each archive as soon as it is written, so it can be uploaded right away,
+  // and options.onFailure with each directory that could not be archived. With failFast
+  // (the default) the first failure stops further directories and is thrown; otherwise
+  // the remaining directories are still archived. options.signal aborts from outside, and
+  // options.hooks, a HookRunner, runs each directory's pre and post hooks around it.
+  async backupDirectories(directories, outputPath, timestamp, previousIndexes = {}, options = {}) {
+    const { concurrency = 1, failFast = true, signal, hooks, onBackup = () => {}, onFailure = () => {} } = options;
+    
+    const results = await mapWithConcurrency(directories, concurrency, async (directory) => {
       try {
-        const result = await this.backupDirectory(directory, outputPath, timestamp);
-        results.push(result);
+        const backup = () => this.backupDirectory(directory, outputPath, timestamp, previousIndexes[directory.name]);
+        const result = await (hooks ? hooks.around(directory, backup) : backup());
+        this.auditLogger.logDirectoryBackup(directory, true, result.size);
+        onBackup(result);
+        return result;
       } catch (error) {
+        this.auditLogger.logDirectoryBackup(directory, false);
         this.logger.error(`Failed to backup directory ${directory.name}: ${error.message}`);
-        throw error;
+        onFailure(directory, error);
+        if (failFast) {
+          throw error;
+        }
+        return null;
       }
+    }, { signal });
+    
+    // Without failFast, failed targets are only reported through onFailure
+    return results.filter(Boolean);
+  }
+
+  // Extract a directory archive, either overwriting or skipping files that already exist.
+  // options.paths limits extraction to those entries, for restoring an incremental chain.
+  async restoreDirectory(archivePath, destinationPath, options = {}) {
+    const { ifExists = 'overwrite', paths } = options;
+    const safeDestination = sanitizeFilePath(destinationPath);
+    
+    if (!['overwrite', 'skip'].includes(ifExists)) {
+      throw new Error(`Invalid overwrite policy: ${ifExists}. Use 'overwrite' or 'skip'.`);
+    }
+    
+    if (fs.existsSync(safeDestination) && !fs.statSync(safeDestination).isDirectory()) {
+      throw new Error(`Restore destination is not a directory: ${safeDestination}`);
     }
     
-    return results;
+    fs.mkdirSync(safeDestination, { recursive: true, mode: 0o750 });
+    
+    this.logger.info(`Extracting ${path.basename(archivePath)} to ${safeDestination} (existing files: ${ifExists})`);
+    
+    let fileCount = 0;
+    
+    try {
+      // The compression is read back from the archive's file name
+      await pipeline(
+        fs.createReadStream(archivePath),
+        createDecompressStream(compressionOf(archivePath)),
+        tar.x({
+          cwd: safeDestination,
+          keep: ifExists === 'skip',
+          // Fail on any corrupt entry instead of silently skipping it
+          strict: true,
+          filter: (entryPath) => {
+            if (paths && !paths.has(entryPath.replace(/\/$/, ''))) {
+              return false;
+            }
+            fileCount++;
+            return true;
+          }
+        })
+      );
+    } catch (error) {
+      throw new Error(`Failed to extract ${path.basename(archivePath)}: ${error.message}`);
+    }
+    
+    this.logger.info(`Directory restore completed: ${fileCount} archive entries processed into ${safeDestination}`);
+    
+    return {
+      path: safeDestination,
+      entries: fileCount
+    };
   }
 }
 
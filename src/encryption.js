@@ -0,0 +1,350 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { promisify } = require('util');
+const { Transform } = require('stream');
+const AuditLogger = require('./audit-logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ALGORITHM = 'AES-256-GCM';
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const FRAME_HEADER_LENGTH = 5;
+const CHUNK_SIZE = 64 * 1024;
+// Encrypted archives start with this magic string and a format version byte
+const MAGIC = Buffer.from('BKPENC');
+const FORMAT_VERSION = 1;
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAX_MEMORY = 64 * 1024 * 1024;
+
+// S3 lowercases user metadata keys, so these are lowercase too
+const METADATA_ALGORITHM = 'encryption-algorithm';
+const METADATA_KEY_ID = 'encryption-key-id';
+
+// Read a 32-byte key encryption key, stored raw or as 64 hex characters
+const readKeyFile = (keyFile) => {
+  const stats = fs.statSync(keyFile);
+  if ((stats.mode & 0o077) !== 0) {
+    console.warn(`⚠️  WARNING: Encryption key file ${keyFile} is readable by other users. Run: chmod 600 ${keyFile}`);
+  }
+  
+  const content = fs.readFileSync(keyFile);
+  if (content.length === KEY_LENGTH) {
+    return content;
+  }
+  
+  const text = content.toString('utf8').trim();
+  if (/^[0-9a-fA-F]{64}$/.test(text)) {
+    return Buffer.from(text, 'hex');
+  }
+  
+  throw new Error(`Encryption key file must contain ${KEY_LENGTH} bytes or 64 hex characters: ${keyFile}`);
+};
+
+// Chunks are numbered through the IV, so they cannot be reordered or replayed
+const chunkIv = (counter) => {
+  const iv = Buffer.alloc(IV_LENGTH);
+  iv.writeBigUInt64BE(BigInt(counter), IV_LENGTH - 8);
+  return iv;
+};
+
+// The final flag is authenticated, so a truncated archive is always detected
+const chunkAad = (final) => Buffer.from([final ? 1 : 0]);
+
+const wrapKey = (kek, dataKey, keyId) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(CIPHER, kek, iv);
+  cipher.setAAD(Buffer.from(keyId));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  
+  return Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64');
+};
+
+const unwrapKey = (kek, wrappedKey, keyId) => {
+  const buffer = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, kek, buffer.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(keyId));
+  decipher.setAuthTag(buffer.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+  
+  try {
+    return Buffer.concat([decipher.update(buffer.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  } catch (error) {
+    throw new Error('Cannot unwrap archive data key: wrong encryption key or passphrase');
+  }
+};
+
+// Frame layout: header, then [uint32 plaintext length][uint8 final flag][ciphertext][tag] per chunk
+class EncryptStream extends Transform {
+  constructor(dataKey, header) {
+    super();
+    this.dataKey = dataKey;
+    this.pending = Buffer.alloc(0);
+    this.counter = 0;
+    
+    const headerJson = Buffer.from(JSON.stringify(header));
+    const headerLength = Buffer.alloc(4);
+    headerLength.writeUInt32BE(headerJson.length);
+    this.push(Buffer.concat([MAGIC, Buffer.from([FORMAT_VERSION]), headerLength, headerJson]));
+  }
+
+  pushChunk(plaintext, final) {
+    const cipher = crypto.createCipheriv(CIPHER, this.dataKey, chunkIv(this.counter++));
+    cipher.setAAD(chunkAad(final));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const frameHeader = Buffer.alloc(FRAME_HEADER_LENGTH);
+    frameHeader.writeUInt32BE(plaintext.length);
+    frameHeader[4] = final ? 1 : 0;
+    
+    this.push(Buffer.concat([frameHeader, ciphertext, cipher.getAuthTag()]));
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending = Buffer.concat([this.pending, chunk]);
+    
+    // Hold back the remainder so the last chunk can always be flagged final
+    while (this.pending.length > CHUNK_SIZE) {
+      this.pushChunk(this.pending.subarray(0, CHUNK_SIZE), false);
+      this.pending = this.pending.subarray(CHUNK_SIZE);
+    }
+    
+    callback();
+  }
+
+  _flush(callback) {
+    this.pushChunk(this.pending, true);
+    callback();
+  }
+}
+
+class DecryptStream extends Transform {
+  constructor(encryption) {
+    super();
+    this.encryption = encryption;
+    this.pending = Buffer.alloc(0);
+    this.header = null;
+    this.dataKey = null;
+    this.counter = 0;
+    this.finished = false;
+  }
+
+  async readHeader() {
+    const prefixLength = MAGIC.length + 1 + 4;
+    if (this.pending.length < prefixLength) {
+      return false;
+    }
+    
+    if (!this.pending.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('Not an encrypted archive');
+    }
+    if (this.pending[MAGIC.length] !== FORMAT_VERSION) {
+      throw new Error(`Unsupported encrypted archive version: ${this.pending[MAGIC.length]}`);
+    }
+    
+    const headerLength = this.pending.readUInt32BE(MAGIC.length + 1);
+    if (this.pending.length < prefixLength + headerLength) {
+      return false;
+    }
+    
+    this.header = JSON.parse(this.pending.subarray(prefixLength, prefixLength + headerLength).toString('utf8'));
+    this.pending = this.pending.subarray(prefixLength + headerLength);
+    this.dataKey = await this.encryption.unwrapDataKey(this.header);
+    
+    return true;
+  }
+
+  readChunk() {
+    if (this.pending.length < FRAME_HEADER_LENGTH) {
+      return false;
+    }
+    
+    const length = this.pending.readUInt32BE(0);
+    if (length > this.header.chunkSize) {
+      throw new Error('Encrypted archive is corrupt: chunk exceeds the declared chunk size');
+    }
+    
+    const frameLength = FRAME_HEADER_LENGTH + length + TAG_LENGTH;
+    if (this.pending.length < frameLength) {
+      return false;
+    }
+    
+    // The flag is part of the authenticated data, so flipping it fails the tag check
+    const final = this.pending[4] === 1;
+    const ciphertext = this.pending.subarray(FRAME_HEADER_LENGTH, FRAME_HEADER_LENGTH + length);
+    const decipher = crypto.createDecipheriv(CIPHER, this.dataKey, chunkIv(this.counter++));
+    decipher.setAAD(chunkAad(final));
+    decipher.setAuthTag(this.pending.subarray(FRAME_HEADER_LENGTH + length, frameLength));
+    
+    try {
+      this.push(Buffer.concat([decipher.update(ciphertext), decipher.final()]));
+    } catch (error) {
+      throw new Error('Encrypted archive failed authentication');
+    }
+    
+    this.pending = this.pending.subarray(frameLength);
+    this.finished = final;
+    
+    return true;
+  }
+
+  async _transform(chunk, encoding, callback) {
+    try {
+      if (this.finished) {
+        throw new Error('Encrypted archive has data after its final chunk');
+      }
+      
+      this.pending = Buffer.concat([this.pending, chunk]);
+      
+      if (!this.header && !(await this.readHeader())) {
+        return callback();
+      }
+      
+      while (!this.finished && this.readChunk()) {
+        // Keep decrypting complete frames
+      }
+      
+      if (this.finished && this.pending.length > 0) {
+        throw new Error('Encrypted archive has data after its final chunk');
+      }
+      
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    if (!this.finished) {
+      return callback(new Error('Encrypted archive is truncated'));
+    }
+    callback();
+  }
+}
+
+class ArchiveEncryption {
+  constructor(encryptionConfig = {}, auditLogger = new AuditLogger({ enabled: false })) {
+    this.enabled = encryptionConfig.enabled === true;
+    this.keyFile = encryptionConfig.keyFile;
+    this.passphrase = encryptionConfig.passphrase;
+    this.configuredKeyId = encryptionConfig.keyId;
+    this.auditLogger = auditLogger;
+    
+    this.kek = null;
+    this.salt = null;
+    // Passphrase-derived keys by salt, so each archive's salt is derived once
+    this.derivedKeys = new Map();
+  }
+
+  // Whether archives can be decrypted, even if new ones are not being encrypted
+  get hasKey() {
+    return Boolean(this.keyFile || this.passphrase);
+  }
+
+  static isEncrypted(metadata = {}) {
+    return Boolean(metadata[METADATA_ALGORITHM]);
+  }
+
+  get keyId() {
+    if (this.configuredKeyId) {
+      return this.configuredKeyId;
+    }
+    if (this.keyFile) {
+      // Fingerprint of the key file, so the key used for an archive can be identified
+      return crypto.createHash('sha256').update(this.loadKeyFile()).digest('hex').slice(0, 16);
+    }
+    return 'passphrase';
+  }
+
+  loadKeyFile() {
+    if (!this.kek) {
+      this.kek = readKeyFile(this.keyFile);
+      this.auditLogger.logCredentialAccess('key_file', 'encryption');
+    }
+    return this.kek;
+  }
+
+  async derivePassphraseKey(salt) {
+    const cacheKey = salt.toString('base64');
+    
+    if (!this.derivedKeys.has(cacheKey)) {
+      if (this.derivedKeys.size === 0) {
+        this.auditLogger.logCredentialAccess('config_file', 'encryption');
+      }
+      this.derivedKeys.set(cacheKey, await scrypt(this.passphrase, salt, KEY_LENGTH, {
+        ...SCRYPT_PARAMS,
+        maxmem: SCRYPT_MAX_MEMORY
+      }));
+    }
+    
+    return this.derivedKeys.get(cacheKey);
+  }
+
+  // Returns the encrypting stream and the object metadata that describes it
+  async createEncryptStream() {
+    if (!this.hasKey) {
+      throw new Error('No encryption key or passphrase is configured');
+    }
+    
+    const keyId = this.keyId;
+    const dataKey = crypto.randomBytes(KEY_LENGTH);
+    const header = {
+      algorithm: ALGORITHM,
+      chunkSize: CHUNK_SIZE,
+      keyId
+    };
+    
+    if (this.keyFile) {
+      header.wrapping = 'key-file';
+      header.wrappedKey = wrapKey(this.loadKeyFile(), dataKey, keyId);
+    } else {
+      // One salt per process keeps scrypt off the per-archive path
+      this.salt = this.salt || crypto.randomBytes(16);
+      header.wrapping = 'scrypt';
+      header.salt = this.salt.toString('base64');
+      header.scrypt = SCRYPT_PARAMS;
+      header.wrappedKey = wrapKey(await this.derivePassphraseKey(this.salt), dataKey, keyId);
+    }
+    
+    return {
+      stream: new EncryptStream(dataKey, header),
+      metadata: {
+        [METADATA_ALGORITHM]: ALGORITHM,
+        [METADATA_KEY_ID]: keyId
+      }
+    };
+  }
+
+  createDecryptStream() {
+    if (!this.hasKey) {
+      throw new Error('Archive is encrypted but no encryption key or passphrase is configured');
+    }
+    
+    return new DecryptStream(this);
+  }
+
+  async unwrapDataKey(header) {
+    if (header.algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${header.algorithm}`);
+    }
+    
+    if (header.wrapping === 'key-file') {
+      if (!this.keyFile) {
+        throw new Error(`Archive was encrypted with key file ${header.keyId}, but no encryption key file is configured`);
+      }
+      return unwrapKey(this.loadKeyFile(), header.wrappedKey, header.keyId);
+    }
+    
+    if (header.wrapping === 'scrypt') {
+      if (!this.passphrase) {
+        throw new Error('Archive was encrypted with a passphrase, but no encryption passphrase is configured');
+      }
+      const salt = Buffer.from(header.salt, 'base64');
+      return unwrapKey(await this.derivePassphraseKey(salt), header.wrappedKey, header.keyId);
+    }
+    
+    throw new Error(`Unsupported key wrapping: ${header.wrapping}`);
+  }
+}
+
+module.exports = ArchiveEncryption;
\ No newline at end of file
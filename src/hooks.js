@@ -0,0 +1,103 @@
+const path = require('path');
+const AuditLogger = require('./audit-logger');
+const { execCommandWithTimeout } = require('./utils');
+
+const hookLabel = (hook) => path.basename(hook.command);
+
+// What a hook is told about its target; credentials are never passed on
+const targetEnvironment = (target) => {
+  const env = {
+    BACKUP_TARGET: target.name,
+    // Directories have no type of their own; databases are typed by their engine
+    BACKUP_TARGET_TYPE: target.type ? 'database' : 'directory',
+    BACKUP_TARGET_PATH: target.path,
+    BACKUP_DATABASE_TYPE: target.type,
+    BACKUP_DATABASE: target.database
+  };
+  
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined));
+};
+
+class HookRunner {
+  constructor(context, logger, auditLogger = new AuditLogger({ enabled: false })) {
+    // Environment every hook of the run gets, e.g. the project and run timestamp
+    this.context = context;
+    this.logger = logger;
+    this.auditLogger = auditLogger;
+  }
+
+  /**
+   * Run a pre or post hook. Failures are logged and returned rather than thrown,
+   * so that the caller can apply the hook's onFailure policy.
+   * @param {Object} hook - Hook config, or undefined for none
+   * @param {string} stage - 'pre' or 'post'
+   * @param {string|null} target - Target name, or null for the run's own hooks
+   * @param {Object} env - Environment variables describing the target or run
+   * @returns {Promise<Error|null>}
+   */
+  async run(hook, stage, target, env = {}) {
+    if (!hook) {
+      return null;
+    }
+    
+    const scope = target ? `target ${target}` : 'run';
+    const startTime = Date.now();
+    
+    try {
+      await this.exec(hook, { ...this.context, ...env, BACKUP_HOOK: stage });
+      this.logger.info(`Ran ${stage} hook ${hookLabel(hook)} of ${scope} (${Date.now() - startTime} ms)`);
+      this.auditLogger.logHook(hookLabel(hook), stage, target, true);
+      return null;
+    } catch (error) {
+      const failure = new Error(`${stage === 'pre' ? 'Pre' : 'Post'} hook ${hookLabel(hook)} failed: ${error.message}`);
+      if (hook.onFailure === 'abort') {
+        this.logger.error(`${failure.message} (${scope})`);
+      } else {
+        this.logger.warn(`${failure.message} (${scope}); continuing`);
+      }
+      this.auditLogger.logHook(hookLabel(hook), stage, target, false);
+      return failure;
+    }
+  }
+
+  // Back up a target between its hooks. The post hook runs whether or not the pre hook
+  // or the backup failed; only when the backup succeeded can its failure fail the target.
+  async around(target, backup) {
+    const env = targetEnvironment(target);
+    let result;
+    
+    try {
+      const preError = await this.run(target.preHook, 'pre', target.name, env);
+      if (preError && target.preHook.onFailure === 'abort') {
+        throw preError;
+      }
+      result = await backup();
+    } catch (error) {
+      await this.run(target.postHook, 'post', target.name, { ...env, BACKUP_TARGET_STATUS: 'failed' });
+      throw error;
+    }
+    
+    const postError = await this.run(target.postHook, 'post', target.name, {
+      ...env,
+      BACKUP_TARGET_STATUS: 'success',
+      BACKUP_ARCHIVE: result.path
+    });
+    if (postError && target.postHook.onFailure === 'abort') {
+      throw postError;
+    }
+    
+    return result;
+  }
+
+  // Run a command without a shell and with nothing on its stdin, killing it on timeout
+  async exec(hook, env) {
+    const { output } = await execCommandWithTimeout(hook.command, hook.args, {
+      cwd: hook.cwd,
+      env: { ...process.env, ...env },
+      timeout: hook.timeout
+    });
+    this.logger.debug(`${hookLabel(hook)} output: ${output}`);
+  }
+}
+
+module.exports = HookRunner;
\ No newline at end of file
@@ -1,105 +1,776 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { loadConfig } = require('./config');
+const crypto = require('crypto');
+const { loadConfig, loadAuditConfig } = require('./config');
 const DirectoryBackup = require('./directory-backup');
 const DatabaseBackup = require('./database-backup');
 const S3Uploader = require('./s3-uploader');
+const LocalStorage = require('./local-storage');
+const BackupRestore = require('./backup-restore');
+const BackupVerifier = require('./backup-verifier');
+const BackupPruner = require('./backup-pruner');
+const Notifier = require('./notifier');
+const HookRunner = require('./hooks');
+const BackupMetrics = require('./metrics');
+const RunJournal = require('./run-journal');
+const AuditLogger = require('./audit-logger');
+const ArchiveEncryption = require('./encryption');
 const { createLogger } = require('./logger');
-const { generateTimestamp } = require('./utils');
+const { generateTimestamp, parseDateBoundary, createLimiter } = require('./utils');
+
+// Where runs keep their archives until they are stored, unless backup.stateDir is set
+const DEFAULT_STATE_DIR = path.join(os.tmpdir(), 'backup-to-s3-runs');
+
+// Storage backend of one configured destination
+const createStorage = (destination, projectName, logger, auditLogger, encryption) => {
+  switch (destination.type) {
+    case 's3':
+      return new S3Uploader(destination, projectName, logger, auditLogger, encryption);
+    case 'local':
+      return new LocalStorage(destination, projectName, logger, auditLogger, encryption);
+    default:
+      throw new Error(`Unsupported destination type: ${destination.type}`);
+  }
+};
 
 class BackupManager {
   constructor(configPath, options = {}) {
     this.startTime = new Date();
-    this.config = loadConfig(configPath);
+    this.configPath = configPath;
+    // One session ID ties the audit trail of this run together
+    this.sessionId = crypto.randomBytes(8).toString('hex');
+    
+    try {
+      this.config = loadConfig(configPath, { project: options.project });
+    } catch (error) {
+      const auditLogger = new AuditLogger({ ...loadAuditConfig(configPath, { project: options.project }), sessionId: this.sessionId });
+      auditLogger.logConfigValidation(configPath, false, [error.message]);
+      throw error;
+    }
+    
+    this.auditLogger = new AuditLogger({
+      ...this.config.audit,
+      sessionId: this.sessionId,
+      secrets: this.config.secrets
+    });
+    this.auditLogger.logConfigValidation(configPath, true);
+    
     this.logger = createLogger(options.logger);
-    this.tempDir = path.join(os.tmpdir(), 'backup-to-s3');
+    // Created per restore, so concurrent restores never clean up each other's files; backup runs
+    // work in a directory of their own (see RunJournal)
+    this.tempDir = null;
     
-    this.directoryBackup = new DirectoryBackup(this.logger);
-    this.databaseBackup = new DatabaseBackup(this.logger);
-    this.s3Uploader = new S3Uploader(this.config.s3, this.config.project.name, this.logger);
+    this.directoryBackup = new DirectoryBackup(this.logger, this.auditLogger);
+    this.databaseBackup = new DatabaseBackup(this.logger, this.auditLogger);
+    this.encryption = new ArchiveEncryption(this.config.encryption, this.auditLogger);
+    this.notifier = new Notifier(this.config.notifications, this.logger, this.auditLogger, this.config.secrets);
+    // The daemon shares one registry between its runs and serves it; otherwise each run
+    // continues the counters of the textfile
+    this.metrics = options.metrics || null;
+    // Projects whose samples belong in this project's textfile, when the shared registry
+    // also holds those of projects writing to other textfiles
+    this.textfileProjects = options.textfileProjects || null;
+    // Every run is stored on each destination; restore, list and verify read from one of them
+    this.destinations = this.config.destinations.map(destination => createStorage(
+      destination,
+      this.config.project.name,
+      this.logger,
+      this.auditLogger,
+      this.encryption
+    ));
+  }
+
+  // A configured destination by name, or the first one
+  getDestination(name) {
+    if (!name) {
+      return this.destinations[0];
+    }
+    
+    const destination = this.destinations.find(item => item.name === name);
+    if (!destination) {
+      throw new Error(`Unknown destination: ${name}`);
+    }
+    
+    return destination;
+  }
+
+  // backup.retention, with the destination's own rules taking precedence
+  retentionOf(destination) {
+    const destinationConfig = this.config.destinations.find(item => item.name === destination.name);
+    return { ...this.config.backup.retention, ...destinationConfig.retention };
   }
 
   async ensureTempDir() {
-    if (!fs.existsSync(this.tempDir)) {
-      fs.mkdirSync(this.tempDir, { recursive: true });
+    if (!this.tempDir) {
+      this.tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-'));
     }
   }
 
   async cleanup() {
     try {
-      if (fs.existsSync(this.tempDir)) {
+      if (this.tempDir) {
         fs.rmSync(this.tempDir, { recursive: true, force: true });
+        this.tempDir = null;
       }
     } catch (error) {
       this.logger.warn(`Failed to cleanup temp directory: ${error.message}`);
     }
   }
 
-  async runBackup() {
+  // Count the run in the metrics and rewrite the textfile; failing to do so never fails the run
+  recordMetrics(result) {
+    const { textfile } = this.config.metrics;
+    if (!this.metrics && !textfile) {
+      return;
+    }
+    
     try {
-      this.logger.info('Starting backup process...');
+      const metrics = this.metrics || BackupMetrics.fromTextfile(textfile);
+      metrics.recordRun(this.config.project.name, this.startTime, result);
+      if (textfile) {
+        metrics.writeTextfile(textfile, this.textfileProjects);
+      }
+    } catch (error) {
+      this.logger.error(`Failed to record metrics: ${error.message}`);
+    }
+  }
+
+  // Payload sent to notification hooks: the run's outcome per target and destination, or
+  // only its error when the run itself failed
+  buildNotification(result) {
+    return {
+      event: 'backup',
+      status: result.status,
+      project: this.config.project.name,
+      sessionId: this.sessionId,
+      hostname: os.hostname(),
+      startTime: this.startTime.toISOString(),
+      duration: new Date() - this.startTime,
+      backups: result.backups || 0,
+      totalSize: result.totalSize || 0,
+      targets: (result.targets || []).map(({ name, type, status, size, duration, destinations, error }) => ({
+        name, type, status, size, duration, destinations, error
+      })),
+      destinations: (result.destinations || []).map(({ name, type, status, stored, error }) => ({
+        name, type, status, stored, error
+      })),
+      ...(result.error && { error: result.error })
+    };
+  }
+
+  // Describe every archive of a run so it can be restored, verified and pruned as one unit
+  buildManifest(timestamp, backups, uploads, toolVersions) {
+    const completedAt = new Date();
+    
+    return {
+      version: 1,
+      project: this.config.project.name,
+      timestamp,
+      sessionId: this.sessionId,
+      hostname: os.hostname(),
+      startedAt: this.startTime.toISOString(),
+      completedAt: completedAt.toISOString(),
+      duration: completedAt - this.startTime,
+      tools: toolVersions,
+      targets: backups.map(backup => {
+        const upload = uploads.find(item => item.name === backup.name);
+        
+        return {
+          name: backup.name,
+          type: backup.type,
+          ...(backup.databaseType && { databaseType: backup.databaseType }),
+          ...(backup.compression && { compression: backup.compression }),
+          source: backup.source,
+          s3Key: upload.s3Key,
+          size: upload.size,
+          sha256: upload.sha256,
+          encrypted: upload.encrypted,
+          ...(backup.mode && {
+            mode: backup.mode,
+            base: backup.base,
+            indexS3Key: upload.indexS3Key,
+            indexSize: upload.indexSize,
+            indexSha256: upload.indexSha256
+          }),
+          duration: backup.duration
+        };
+      })
+    };
+  }
+
+  // Configured targets by name, or all of them when no names are given
+  selectTargets(targetNames) {
+    if (!targetNames) {
+      return { directories: this.config.directories, databases: this.config.databases };
+    }
+    
+    const known = [...this.config.directories, ...this.config.databases].map(target => target.name);
+    const unknown = targetNames.filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown backup target(s): ${unknown.join(', ')}`);
+    }
+    
+    return {
+      directories: this.config.directories.filter(dir => targetNames.includes(dir.name)),
+      databases: this.config.databases.filter(db => targetNames.includes(db.name))
+    };
+  }
+
+  // Incremental targets build on the file index of their previous run. Every destination
+  // must hold the chain, so a target whose destinations disagree, or whose chain cannot
+  // be read from one of them, starts a new one.
+  async findPreviousIndexes(directories) {
+    const previousIndexes = {};
+    
+    for (const directory of directories.filter(dir => dir.mode === 'incremental')) {
+      try {
+        const indexes = await Promise.all(this.destinations.map(destination => destination.findLatestIndex(directory.name)));
+        if (new Set(indexes.map(index => index && index.timestamp)).size === 1) {
+          previousIndexes[directory.name] = indexes[0];
+        } else {
+          this.logger.warn(`Destinations hold different backup chains of ${directory.name}; writing a full backup`);
+          previousIndexes[directory.name] = null;
+        }
+      } catch (error) {
+        this.logger.warn(`Could not read the backup chain of ${directory.name}, writing a full backup: ${error.message}`);
+        previousIndexes[directory.name] = null;
+      }
+    }
+    
+    return previousIndexes;
+  }
+
+  // Work out what runBackup would do without creating or uploading anything: what each
+  // directory would archive, whether each database accepts its credentials, the keys each
+  // destination would receive and the runs its retention would then delete.
+  async planBackup(options = {}) {
+    const { directories, databases } = this.selectTargets(options.targets);
+    const timestamp = generateTimestamp(this.startTime);
+    
+    this.logger.info(`Planning backup ${timestamp} (dry run)...`);
+    
+    const previousIndexes = await this.findPreviousIndexes(directories);
+    const targets = [];
+    
+    for (const directory of directories) {
+      try {
+        const plan = await this.directoryBackup.planDirectory(directory, timestamp, previousIndexes[directory.name]);
+        targets.push({ ...plan, status: 'ok' });
+      } catch (error) {
+        this.logger.error(`Cannot back up directory ${directory.name}: ${error.message}`);
+        targets.push({ name: directory.name, type: 'directory', status: 'failed', error: error.message });
+      }
+    }
+    
+    for (const database of databases) {
+      const target = {
+        name: database.name,
+        type: 'database',
+        databaseType: database.type,
+        fileName: this.databaseBackup.dumpFileName(database, timestamp)
+      };
       
-      // Generate single timestamp for all backups in this session
-      const backupTimestamp = generateTimestamp(this.startTime);
-      this.logger.info(`Backup timestamp: ${backupTimestamp}`);
+      try {
+        await this.databaseBackup.checkConnection(database);
+        targets.push({ ...target, status: 'ok' });
+      } catch (error) {
+        targets.push({ ...target, status: 'failed', error: error.message });
+      }
+    }
+    
+    const planned = targets.filter(target => target.status === 'ok');
+    const destinations = [];
+    
+    for (const destination of this.destinations) {
+      const keys = [
+        ...planned.flatMap(target => [
+          destination.backupKey(target.name, target.fileName),
+          ...(target.indexFileName ? [destination.backupKey(target.name, target.indexFileName)] : [])
+        ]),
+        ...(planned.length > 0 ? [destination.manifestKey(timestamp)] : [])
+      ];
+      const destinationPlan = { name: destination.name, type: destination.destination.type, keys, deletions: [], pruned: false };
       
-      await this.ensureTempDir();
+      // As in runBackup, retention only runs after a run that is complete
+      if (planned.length > 0 && planned.length === targets.length) {
+        try {
+          const pendingRun = {
+            timestamp,
+            date: this.startTime,
+            objects: keys.map(Key => ({ Key, Size: 0 })),
+            size: 0,
+            bases: planned.filter(target => target.base).map(target => ({ name: target.name, base: target.base }))
+          };
+          const runs = await new BackupPruner(destination, this.logger, this.auditLogger).plan(this.retentionOf(destination), { pendingRun });
+          destinationPlan.deletions = runs.filter(run => !run.keep);
+          destinationPlan.pruned = true;
+        } catch (error) {
+          destinationPlan.error = error.message;
+          this.logger.error(`Cannot plan retention cleanup on ${destination.name}: ${error.message}`);
+        }
+      }
+      
+      destinationPlan.status = destinationPlan.error ? 'failed' : 'ok';
+      destinations.push(destinationPlan);
+    }
+    
+    const ok = targets.every(target => target.status === 'ok') && destinations.every(destination => destination.status === 'ok');
+    
+    return { dryRun: true, status: ok ? 'ok' : 'failed', timestamp, targets, destinations };
+  }
+
+  // Back up every configured target, or only options.targets. Failed targets do not make
+  // this throw: each target's outcome is reported in the result, whose status is success,
+  // partial or failed. options.onError overrides the configured policy, 'failFast' or
+  // 'continue', and aborting options.signal cancels the run: targets not yet started are
+  // skipped, while those already running finish.
+  async runBackup(options = {}) {
+    const { onError = this.config.backup.onError, signal } = options;
+    const { preHook, postHook } = this.config.backup;
+    const hooks = new HookRunner({
+      BACKUP_PROJECT: this.config.project.name,
+      BACKUP_SESSION_ID: this.sessionId,
+      BACKUP_TIMESTAMP: generateTimestamp(this.startTime)
+    }, this.logger, this.auditLogger);
+    // The run's working directory stays unless the run succeeds, so that the next run can
+    // resume it
+    let journal = null;
+    let runSucceeded = false;
+    // The run's post hook runs exactly once, however the run ends
+    let postHookRan = false;
+    const runPostHook = (status) => {
+      if (postHookRan) {
+        return null;
+      }
+      postHookRan = true;
+      return hooks.run(postHook, 'post', null, { BACKUP_STATUS: status });
+    };
+    
+    try {
+      const { directories, databases } = this.selectTargets(options.targets);
       
-      const allBackups = [];
+      this.logger.info(`Starting backup process (session ${this.sessionId})...`);
+      this.auditLogger.logBackupStart({ ...this.config, directories, databases, configPath: this.configPath });
       
-      if (this.config.directories.length > 0) {
-        this.logger.info(`Backing up ${this.config.directories.length} directories...`);
-        const directoryBackups = await this.directoryBackup.backupDirectories(
-          this.config.directories, 
-          this.tempDir,
-          backupTimestamp
-        );
-        allBackups.push(...directoryBackups);
+      // One timestamp for all backups of the run, or that of the unfinished run it continues
+      journal = RunJournal.open(
+        this.config.backup.stateDir || DEFAULT_STATE_DIR,
+        this.config.project.name,
+        generateTimestamp(this.startTime),
+        [...directories, ...databases].map(target => target.name),
+        this.config.backup.resumeWithin,
+        this.logger
+      );
+      const backupTimestamp = journal.timestamp;
+      hooks.context.BACKUP_TIMESTAMP = backupTimestamp;
+      this.logger.info(`Backup timestamp: ${backupTimestamp}`);
+      
+      const preHookError = await hooks.run(preHook, 'pre', null);
+      if (preHookError && preHook.onFailure === 'abort') {
+        throw preHookError;
       }
       
-      if (this.config.databases.length > 0) {
-        this.logger.info(`Backing up ${this.config.databases.length} databases...`);
-        const databaseBackups = await this.databaseBackup.backupDatabases(
-          this.config.databases, 
-          this.tempDir,
-          backupTimestamp
-        );
-        allBackups.push(...databaseBackups);
+      const { concurrency } = this.config.backup;
+      const failFast = onError === 'failFast';
+      
+      // Archives of an interrupted run only need storing; destinations that already hold
+      // them skip the upload
+      const resumed = journal.backups.map(backup => ({ ...backup, resumed: true }));
+      const archived = new Set(resumed.map(backup => backup.name));
+      const pendingDirectories = directories.filter(directory => !archived.has(directory.name));
+      const pendingDatabases = databases.filter(database => !archived.has(database.name));
+      
+      const previousIndexes = await this.findPreviousIndexes(pendingDirectories);
+      
+      // Outcome of each target by name; targets without one were never started
+      const outcomes = new Map();
+      // Uploads of each archive, and their errors, by destination name
+      const stored = new Map();
+      // With failFast, the first failed target keeps any other from starting
+      const abort = new AbortController();
+      // Cancelling the run through options.signal does the same, whatever the policy
+      if (signal) {
+        if (signal.aborted) {
+          abort.abort(signal.reason);
+        }
+        signal.addEventListener('abort', () => abort.abort(signal.reason), { once: true });
       }
+      const onFailure = (type) => (target, error) => {
+        outcomes.set(target.name, { name: target.name, type, status: 'failed', error: error.message });
+        if (failFast) {
+          abort.abort(error);
+        }
+      };
+      
+      // Each archive is uploaded to every destination as soon as it is written,
+      // while other targets are still being archived
+      const upload = createLimiter(concurrency.uploads);
+      const pendingUploads = [];
+      const onBackup = (backup) => {
+        if (!backup.resumed) {
+          journal.record(backup);
+        }
+        const item = { backup, uploads: new Map(), errors: new Map() };
+        stored.set(backup.name, item);
+        
+        this.destinations.forEach(destination => {
+          pendingUploads.push(upload(async () => {
+            if (abort.signal.aborted) {
+              return;
+            }
+            
+            try {
+              item.uploads.set(destination.name, await destination.uploadBackup(backup));
+            } catch (error) {
+              item.errors.set(destination.name, error.message);
+              if (failFast) {
+                abort.abort(error);
+              }
+            }
+          }));
+        });
+      };
+      
+      resumed.forEach(onBackup);
+      
+      this.logger.info(`Backing up ${directories.length} directories and ${databases.length} databases (on error: ${onError})...`);
+      
+      // Failures reach onFailure, so the settled results themselves are not needed
+      await Promise.allSettled([
+        this.directoryBackup.backupDirectories(
+          pendingDirectories, 
+          journal.directory,
+          backupTimestamp,
+          previousIndexes,
+          { concurrency: concurrency.archives, failFast, signal: abort.signal, hooks, onBackup, onFailure: onFailure('directory') }
+        ),
+        this.databaseBackup.backupDatabases(
+          pendingDatabases, 
+          journal.directory,
+          backupTimestamp,
+          { concurrency: concurrency.dumps, failFast, signal: abort.signal, hooks, onBackup, onFailure: onFailure('database') }
+        )
+      ]);
+      
+      // Let started uploads finish, so none outlives the run's directory
+      await Promise.all(pendingUploads);
       
-      if (allBackups.length === 0) {
+      // A target succeeds once it is stored on any destination; the others are reported per destination
+      stored.forEach(({ backup, uploads, errors }) => {
+        const error = [...errors].map(([name, message]) => `${name}: ${message}`).join('; ') || undefined;
+        
+        if (uploads.size > 0) {
+          const [firstUpload] = uploads.values();
+          outcomes.set(backup.name, {
+            name: backup.name,
+            type: backup.type,
+            status: 'success',
+            size: firstUpload.size,
+            s3Key: firstUpload.s3Key,
+            duration: backup.duration,
+            destinations: [...uploads.keys()],
+            ...(error && { error })
+          });
+        } else if (error) {
+          outcomes.set(backup.name, { name: backup.name, type: backup.type, status: 'failed', error, destinations: [] });
+        }
+      });
+      
+      const targets = [
+        ...directories.map(directory => ({ name: directory.name, type: 'directory' })),
+        ...databases.map(database => ({ name: database.name, type: 'database' }))
+      ].map(target => outcomes.get(target.name) || { ...target, status: 'skipped' });
+      
+      if (targets.length === 0) {
         this.logger.warn('No backups to process');
-        return { success: true, uploads: [] };
+        await runPostHook('success');
+        runSucceeded = true;
+        return { success: true, status: 'success', targets, destinations: [], uploads: [] };
       }
       
-      this.logger.info(`Uploading ${allBackups.length} backups to S3...`);
-      const uploads = await this.s3Uploader.uploadBackups(
-        allBackups, 
-        this.config.backup.timestamp
-      );
+      const succeeded = targets.filter(target => target.status === 'success');
+      const failedCount = targets.filter(target => target.status === 'failed').length;
+      const skippedCount = targets.filter(target => target.status === 'skipped').length;
+      const toolVersions = succeeded.length > 0 ? await this.databaseBackup.getToolVersions(databases) : null;
+      const destinationResults = [];
       
-      if (this.config.backup.retention) {
-        this.logger.info('Running retention cleanup...');
-        await this.s3Uploader.cleanupOldBackups(this.config.backup.retention);
+      for (const destination of this.destinations) {
+        const held = succeeded
+          .map(target => stored.get(target.name))
+          .filter(item => item.uploads.has(destination.name));
+        const uploadErrors = [...stored.values()]
+          .map(item => item.errors.get(destination.name))
+          .filter(Boolean);
+        const destinationResult = {
+          name: destination.name,
+          type: destination.destination.type,
+          stored: held.length,
+          manifest: null,
+          pruned: false,
+          deleted: 0,
+          ...(uploadErrors.length > 0 && { error: uploadErrors[0] })
+        };
+        
+        try {
+          // A partial run still gets a manifest, listing only the targets the destination holds
+          if (held.length > 0) {
+            const manifest = this.buildManifest(
+              backupTimestamp,
+              held.map(item => item.backup),
+              held.map(item => item.uploads.get(destination.name)),
+              toolVersions
+            );
+            destinationResult.manifest = (await destination.uploadManifest(manifest)).s3Key;
+          }
+          
+          // A run incomplete on a destination must not count towards its retention, or it
+          // could push out the last complete one
+          if (held.length === targets.length) {
+            this.logger.info(`Running retention cleanup on ${destination.name}...`);
+            const pruned = await new BackupPruner(destination, this.logger, this.auditLogger).prune(this.retentionOf(destination));
+            destinationResult.pruned = true;
+            destinationResult.deleted = pruned.deletedCount;
+          } else {
+            this.logger.warn(`Run is incomplete on ${destination.name} (${held.length} of ${targets.length} targets); skipping retention cleanup`);
+          }
+        } catch (error) {
+          destinationResult.error = error.message;
+          this.logger.error(`Failed to finish run on ${destination.name}: ${error.message}`);
+        }
+        
+        // What interrupted uploads of earlier runs left behind; failing to clean it up fails nothing
+        try {
+          await destination.abortStaleUploads();
+        } catch (error) {
+          this.logger.warn(`Failed to abort incomplete uploads on ${destination.name}: ${error.message}`);
+        }
+        
+        if (held.length === targets.length && !destinationResult.error) {
+          destinationResult.status = 'success';
+        } else {
+          destinationResult.status = held.length === 0 ? 'failed' : 'partial';
+        }
+        
+        destinationResults.push(destinationResult);
       }
       
-      this.logger.info('Backup process completed successfully');
+      let status = 'success';
+      if (succeeded.length === 0) {
+        status = 'failed';
+      } else if (destinationResults.some(destinationResult => destinationResult.status !== 'success')) {
+        status = 'partial';
+      }
       
-      return {
-        success: true,
-        backups: allBackups.length,
+      // Everything is stored and pruned by now; a post hook that fails with abort still
+      // leaves the run short of a full success
+      const postHookError = await runPostHook(status);
+      const postHookFailed = Boolean(postHookError) && postHook.onFailure === 'abort';
+      if (postHookFailed && status === 'success') {
+        status = 'partial';
+      }
+      
+      const incomplete = destinationResults.filter(item => item.status !== 'success').map(item => item.name);
+      if (status === 'success') {
+        this.logger.info('Backup process completed successfully');
+      } else if (status === 'partial' && incomplete.length === 0) {
+        this.logger.warn('Backup completed, but the post hook of the run failed');
+      } else if (status === 'partial') {
+        this.logger.warn(`Backup completed with ${failedCount} failed and ${skippedCount} skipped of ${targets.length} targets, incomplete on ${incomplete.join(', ')}`);
+      } else {
+        this.logger.error(`Backup failed: none of ${targets.length} targets completed`);
+      }
+      
+      const uploads = succeeded.flatMap(target => [...stored.get(target.name).uploads.values()]);
+      
+      const result = {
+        success: status === 'success',
+        status,
+        sessionId: this.sessionId,
+        backups: succeeded.length,
+        targets,
+        destinations: destinationResults,
         uploads,
-        totalSize: uploads.reduce((sum, upload) => sum + upload.size, 0)
+        totalSize: succeeded.reduce((sum, target) => sum + target.size, 0),
+        duration: new Date() - this.startTime,
+        ...(postHookFailed && { error: postHookError.message })
       };
       
+      this.auditLogger.logBackupComplete(result);
+      
+      this.recordMetrics(result);
+      await this.notifier.notify(this.buildNotification(result));
+      
+      runSucceeded = result.success;
+      return result;
+    
     } catch (error) {
+      this.auditLogger.logBackupError(error, { operation: 'backup' });
       this.logger.error(`Backup failed: ${error.message}`);
+      await runPostHook('failed');
+      this.recordMetrics({ status: 'failed' });
+      await this.notifier.notify(this.buildNotification({ status: 'failed', error: error.message }));
+      throw error;
+    } finally {
+      if (journal && !runSucceeded && journal.backups.length > 0) {
+        this.logger.warn(`Keeping the archives of unfinished run ${journal.timestamp} in ${journal.directory} for the next run`);
+        journal.close();
+      } else if (journal) {
+        journal.remove();
+      }
+    }
+  }
+
+  async runRestore(options) {
+    try {
+      this.logger.info(`Starting restore of ${options.target} (${options.timestamp || 'latest'})...`);
+      
+      await this.ensureTempDir();
+      
+      const backupRestore = new BackupRestore(
+        this.config,
+        this.getDestination(options.from),
+        this.directoryBackup,
+        this.databaseBackup,
+        this.logger
+      );
+      const result = await backupRestore.restore(options, this.tempDir);
+      
+      this.logger.info('Restore process completed successfully');
+      
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      this.auditLogger.logBackupError(error, { operation: 'restore', target: options.target });
+      this.logger.error(`Restore failed: ${error.message}`);
       throw error;
     } finally {
       await this.cleanup();
     }
   }
+
+  // List uploaded runs of one destination, optionally filtered by target, target type and date range
+  async runList(options = {}) {
+    const { target, type, since, until } = options;
+    const sinceDate = since ? parseDateBoundary(since) : null;
+    const untilDate = until ? parseDateBoundary(until, true) : null;
+    
+    // Objects are named <project>/<target>/<file>; targets gone from the config are 'unknown'
+    const targetTypes = new Map([
+      ...this.config.directories.map(dir => [dir.name, 'directory']),
+      ...this.config.databases.map(db => [db.name, 'database']),
+      ['manifests', 'manifest']
+    ]);
+    
+    const runs = [];
+    const totals = {};
+    
+    const destination = this.getDestination(options.from);
+    
+    for (const run of await destination.listRuns()) {
+      if ((sinceDate && run.date < sinceDate) || (untilDate && run.date > untilDate)) {
+        continue;
+      }
+      
+      const objects = run.objects
+        .map(object => {
+          const objectTarget = object.Key.split('/')[1];
+          
+          return {
+            key: object.Key,
+            target: objectTarget,
+            type: targetTypes.get(objectTarget) || 'unknown',
+            size: object.Size,
+            lastModified: object.LastModified
+          };
+        })
+        .filter(object => (!target || object.target === target) && (!type || object.type === type));
+      
+      if (objects.length === 0) {
+        continue;
+      }
+      
+      objects.forEach(object => {
+        if (!totals[object.target]) {
+          totals[object.target] = { type: object.type, objects: 0, runs: 0, size: 0 };
+        }
+        totals[object.target].objects++;
+        totals[object.target].size += object.size;
+      });
+      new Set(objects.map(object => object.target)).forEach(name => totals[name].runs++);
+      
+      runs.push({
+        timestamp: run.timestamp,
+        objects,
+        size: objects.reduce((sum, object) => sum + object.size, 0)
+      });
+    }
+    
+    return {
+      project: this.config.project.name,
+      destination: destination.name,
+      runs,
+      totals,
+      objectCount: runs.reduce((sum, run) => sum + run.objects.length, 0),
+      totalSize: runs.reduce((sum, run) => sum + run.size, 0)
+    };
+  }
+
+  // Apply the retention policy to the destination named by options.from, or to every destination in turn
+  async runPrune(options = {}) {
+    try {
+      this.logger.info(`Applying retention policy${options.dryRun ? ' (dry run)' : ''}...`);
+      
+      const destinations = options.from ? [this.getDestination(options.from)] : this.destinations;
+      const results = [];
+      const errors = [];
+      
+      for (const destination of destinations) {
+        try {
+          const result = await new BackupPruner(destination, this.logger, this.auditLogger).prune(this.retentionOf(destination), options);
+          results.push({ name: destination.name, ...result });
+        } catch (error) {
+          errors.push(`${destination.name}: ${error.message}`);
+        }
+      }
+      
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      
+      return { dryRun: Boolean(options.dryRun), destinations: results };
+    } catch (error) {
+      this.auditLogger.logBackupError(error, { operation: 'prune' });
+      this.logger.error(`Prune failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async runVerify(options = {}) {
+    try {
+      this.logger.info('Starting backup verification...');
+      
+      const destination = this.getDestination(options.from);
+      const report = {
+        destination: destination.name,
+        ...await new BackupVerifier(destination, this.logger).verify(options)
+      };
+      
+      if (report.passed) {
+        this.logger.info('Verification completed: all backups intact');
+      } else {
+        this.logger.error('Verification completed with failures');
+      }
+      
+      return report;
+    } catch (error) {
+      this.auditLogger.logBackupError(error, { operation: 'verify' });
+      this.logger.error(`Verification failed: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 module.exports = BackupManager;
\ No newline at end of file
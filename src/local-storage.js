@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const BackupStorage = require('./backup-storage');
+const AuditLogger = require('./audit-logger');
+const ArchiveEncryption = require('./encryption');
+
+// Object metadata is kept in JSON files under this directory of the destination
+const METADATA_DIR = '.metadata';
+// Objects are written under this suffix and renamed into place once complete
+const PARTIAL_EXTENSION = '.partial';
+
+// Storage backend for a local directory or mounted share, such as a NAS
+class LocalStorage extends BackupStorage {
+  constructor(localConfig, projectName, logger, auditLogger = new AuditLogger({ enabled: false }), encryption = new ArchiveEncryption()) {
+    super({ name: localConfig.name, type: 'local' }, projectName, logger, auditLogger, encryption);
+    this.root = path.resolve(localConfig.path);
+  }
+
+  // File path of a key, which must stay inside the destination directory
+  resolveKey(key, root = this.root) {
+    const filePath = path.resolve(root, ...key.split('/'));
+    if (!filePath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Invalid object key: ${key}`);
+    }
+    return filePath;
+  }
+
+  metadataPath(key) {
+    return `${this.resolveKey(key, path.join(this.root, METADATA_DIR))}.json`;
+  }
+
+  async put(key, body, options = {}) {
+    const filePath = this.resolveKey(key);
+    const partialPath = `${filePath}${PARTIAL_EXTENSION}`;
+    const metadataPath = this.metadataPath(key);
+    
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o750 });
+    fs.mkdirSync(path.dirname(metadataPath), { recursive: true, mode: 0o750 });
+    
+    try {
+      const input = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+      await pipeline(input, fs.createWriteStream(partialPath, { mode: 0o600 }));
+      
+      // Flush to disk before the rename, so a crash cannot leave a complete-looking empty file
+      const fd = fs.openSync(partialPath, 'r');
+      try {
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      
+      // Metadata goes first, so a listed object always has its metadata
+      fs.writeFileSync(metadataPath, JSON.stringify({
+        metadata: options.metadata || {},
+        ...(options.contentType && { contentType: options.contentType })
+      }), { mode: 0o600 });
+      fs.renameSync(partialPath, filePath);
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw error;
+    }
+    
+    return { location: filePath };
+  }
+
+  readMetadata(key) {
+    try {
+      return JSON.parse(fs.readFileSync(this.metadataPath(key), 'utf8')).metadata || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw new Error(`Invalid metadata for ${key}: ${error.message}`);
+    }
+  }
+
+  async get(key) {
+    const head = await this.head(key);
+    if (!head) {
+      throw new Error(`No such object: ${key}`);
+    }
+    
+    return {
+      body: fs.createReadStream(this.resolveKey(key)),
+      metadata: head.metadata,
+      size: head.size
+    };
+  }
+
+  async head(key) {
+    let stats;
+    try {
+      stats = fs.statSync(this.resolveKey(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+    
+    if (!stats.isFile()) {
+      return null;
+    }
+    
+    return {
+      metadata: this.readMetadata(key),
+      size: stats.size,
+      lastModified: stats.mtime
+    };
+  }
+
+  // Walk only the directories the prefix can match, skipping metadata and unfinished writes
+  async list(prefix) {
+    const objects = [];
+    
+    const walk = (directoryKey) => {
+      const directoryPath = directoryKey ? this.resolveKey(directoryKey) : this.root;
+      let entries;
+      
+      try {
+        entries = fs.readdirSync(directoryPath, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return;
+        }
+        throw error;
+      }
+      
+      for (const entry of entries) {
+        const key = directoryKey ? `${directoryKey}/${entry.name}` : entry.name;
+        
+        if (entry.isDirectory()) {
+          if (key !== METADATA_DIR && (`${key}/`.startsWith(prefix) || prefix.startsWith(`${key}/`))) {
+            walk(key);
+          }
+        } else if (entry.isFile() && key.startsWith(prefix) && !key.endsWith(PARTIAL_EXTENSION)) {
+          const stats = fs.statSync(path.join(directoryPath, entry.name));
+          objects.push({ Key: key, Size: stats.size, LastModified: stats.mtime });
+        }
+      }
+    };
+    
+    walk('');
+    
+    return objects.sort((a, b) => (a.Key < b.Key ? -1 : 1));
+  }
+
+  async delete(keys) {
+    const failed = new Map();
+    
+    keys.forEach(key => {
+      try {
+        fs.rmSync(this.resolveKey(key), { force: true });
+        fs.rmSync(this.metadataPath(key), { force: true });
+      } catch (error) {
+        failed.set(key, error.message);
+      }
+    });
+    
+    return failed;
+  }
+}
+
+module.exports = LocalStorage;
\ No newline at end of file
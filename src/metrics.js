@@ -0,0 +1,190 @@
+const fs = require('fs');
+const http = require('http');
+
+// Type and help text of every metric, in the order they are written
+const METRICS = {
+  backup_runs_total: ['counter', 'Backup runs by final status'],
+  backup_last_run_timestamp_seconds: ['gauge', 'Start time of the last backup run'],
+  backup_last_success_timestamp_seconds: ['gauge', 'Start time of the last backup run in which every target succeeded'],
+  backup_run_duration_seconds: ['gauge', 'Duration of the last backup run'],
+  backup_target_runs_total: ['counter', 'Backups of a target by status'],
+  backup_target_last_success_timestamp_seconds: ['gauge', 'Start time of the last run that backed up the target'],
+  backup_target_duration_seconds: ['gauge', 'Time taken to archive or dump the target in its last successful backup'],
+  backup_target_archive_bytes: ['gauge', 'Size of the archive or dump of the target in its last successful backup'],
+  backup_target_upload_bytes: ['gauge', 'Bytes of the target uploaded to a destination in its last successful backup'],
+  backup_upload_bytes_total: ['counter', 'Bytes uploaded to a destination'],
+  backup_retention_deleted_objects_total: ['counter', 'Objects deleted from a destination by retention cleanup']
+};
+
+const RUN_STATUSES = ['success', 'partial', 'failed'];
+const TARGET_STATUSES = ['success', 'failed', 'skipped'];
+
+// Content type of the Prometheus text exposition format
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const unescapeLabelValue = (value) => value.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+// One sample line, e.g. backup_runs_total{project="web",status="success"} 3
+const SAMPLE_PATTERN = /^([a-zA-Z_:][a-zA-Z0-9_:]*)(?:\{(.*)\})?\s+(\S+)/;
+const LABEL_PATTERN = /([a-zA-Z_][a-zA-Z0-9_]*)="((?:[^"\\]|\\.)*)"/g;
+
+/**
+ * Metrics of backup runs in the Prometheus text exposition format. Counters only ever
+ * grow, so a registry that outlives one process is seeded from the file it last wrote.
+ */
+class BackupMetrics {
+  constructor() {
+    // Samples by metric name and labels
+    this.samples = new Map();
+  }
+
+  // A registry holding the samples of a textfile written earlier, if there is one
+  static fromTextfile(filePath) {
+    return BackupMetrics.fromTextfiles([filePath]);
+  }
+
+  // A registry holding the samples of every textfile that exists of those given
+  static fromTextfiles(filePaths) {
+    const metrics = new BackupMetrics();
+    
+    filePaths.filter(filePath => filePath && fs.existsSync(filePath)).forEach(filePath => {
+      metrics.load(fs.readFileSync(filePath, 'utf8'));
+    });
+    
+    return metrics;
+  }
+
+  // Read back the samples of known metrics; anything else in the text is ignored
+  load(text) {
+    text.split('\n').forEach(line => {
+      const match = line.match(SAMPLE_PATTERN);
+      if (!match || !METRICS[match[1]] || Number.isNaN(Number(match[3]))) {
+        return;
+      }
+      
+      const labels = {};
+      for (const [, name, value] of (match[2] || '').matchAll(LABEL_PATTERN)) {
+        labels[name] = unescapeLabelValue(value);
+      }
+      this.set(match[1], labels, Number(match[3]));
+    });
+  }
+
+  set(name, labels, value) {
+    this.samples.set(`${name}${formatLabels(labels)}`, { name, labels, value });
+  }
+
+  inc(name, labels, amount = 1) {
+    const sample = this.samples.get(`${name}${formatLabels(labels)}`);
+    this.set(name, labels, (sample ? sample.value : 0) + amount);
+  }
+
+  /**
+   * Count a finished backup run and record the sizes and durations of its targets
+   * @param {string} project - Project name, the label every sample carries
+   * @param {Date} startTime - Start of the run
+   * @param {Object} result - Result of BackupManager#runBackup, or { status: 'failed' } for a run that threw
+   */
+  recordRun(project, startTime, result) {
+    const started = startTime.getTime() / 1000;
+    const targets = result.targets || [];
+    
+    // Every status gets a sample, so that increase() sees the first failure
+    RUN_STATUSES.forEach(status => this.inc('backup_runs_total', { project, status }, status === result.status ? 1 : 0));
+    this.set('backup_last_run_timestamp_seconds', { project }, started);
+    this.set('backup_run_duration_seconds', { project }, (Date.now() - startTime.getTime()) / 1000);
+    if (result.status === 'success') {
+      this.set('backup_last_success_timestamp_seconds', { project }, started);
+    }
+    
+    targets.forEach(target => {
+      const labels = { project, target: target.name, type: target.type };
+      
+      TARGET_STATUSES.forEach(status => this.inc('backup_target_runs_total', { ...labels, status }, status === target.status ? 1 : 0));
+      if (target.status === 'success') {
+        this.set('backup_target_last_success_timestamp_seconds', labels, started);
+        this.set('backup_target_duration_seconds', labels, target.duration / 1000);
+        this.set('backup_target_archive_bytes', labels, target.size);
+      }
+    });
+    
+    (result.uploads || []).forEach(upload => {
+      const target = targets.find(item => item.name === upload.name);
+      const labels = { project, target: upload.name, type: target.type, destination: upload.destination };
+      
+      this.set('backup_target_upload_bytes', labels, upload.size);
+      this.inc('backup_upload_bytes_total', { project, destination: upload.destination }, upload.size);
+    });
+    
+    (result.destinations || []).forEach(destination => {
+      this.inc('backup_retention_deleted_objects_total', { project, destination: destination.name }, destination.deleted || 0);
+    });
+  }
+
+  // Samples in the text exposition format, grouped by metric: all of them, or only those
+  // of the given projects
+  render(projects) {
+    const lines = [];
+    
+    Object.entries(METRICS).forEach(([name, [type, help]]) => {
+      const samples = [...this.samples.values()]
+        .filter(sample => sample.name === name && (!projects || projects.includes(sample.labels.project)));
+      if (samples.length === 0) {
+        return;
+      }
+      
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+      samples.forEach(sample => lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`));
+    });
+    
+    return lines.length > 0 ? `${lines.join('\n')}\n` : '';
+  }
+
+  // Replace the textfile at once, so the node_exporter collector never reads half of it.
+  // projects limits it to their samples when the registry holds those of other textfiles.
+  writeTextfile(filePath, projects) {
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    
+    try {
+      fs.writeFileSync(tempPath, this.render(projects), { mode: 0o644 });
+      fs.renameSync(tempPath, filePath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  // Serve the metrics on GET /metrics; resolves with the listening server
+  listen(port, host) {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404, { 'Content-Type': 'text/plain' });
+        res.end('Not found\n');
+        return;
+      }
+      
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(this.render());
+    });
+    
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        server.off('error', reject);
+        resolve(server);
+      });
+    });
+  }
+}
+
+module.exports = BackupMetrics;
\ No newline at end of file
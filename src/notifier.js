@@ -0,0 +1,102 @@
+const path = require('path');
+const AuditLogger = require('./audit-logger');
+const { execCommandWithTimeout } = require('./utils');
+const { redactSecrets } = require('./utils');
+
+// Delay before the first webhook retry; each further retry waits twice as long
+const RETRY_BASE_DELAY = 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Webhook URLs often carry a token in their path, so only the host is ever logged
+const webhookLabel = (webhook) => webhook.name || new URL(webhook.url).host;
+
+const commandLabel = (hook) => hook.name || path.basename(hook.command);
+
+// Network errors, timeouts, rate limiting and server errors may pass; other responses will not
+const isRetryable = (error) => !error.status || error.status === 429 || error.status >= 500;
+
+class Notifier {
+  constructor(notificationsConfig, logger, auditLogger = new AuditLogger({ enabled: false }), secrets = []) {
+    this.webhooks = notificationsConfig.webhooks || [];
+    this.commands = notificationsConfig.commands || [];
+    this.logger = logger;
+    this.auditLogger = auditLogger;
+    // Secret values that must not leave the host in error messages
+    this.secrets = secrets;
+  }
+
+  /**
+   * Send a run's payload to every webhook and command hook subscribed to its status.
+   * Hooks run side by side; their failures are logged and never fail the run.
+   * @param {Object} payload - Run outcome; payload.status selects the hooks
+   * @returns {Promise<Array<{hook: string, type: string, success: boolean, error?: string}>>}
+   */
+  async notify(payload) {
+    const body = redactSecrets(JSON.stringify(payload), this.secrets);
+    const hooks = [
+      ...this.webhooks
+        .filter(webhook => webhook.on.includes(payload.status))
+        .map(webhook => ({ label: webhookLabel(webhook), type: 'webhook', send: () => this.sendWebhook(webhook, body) })),
+      ...this.commands
+        .filter(hook => hook.on.includes(payload.status))
+        .map(hook => ({ label: commandLabel(hook), type: 'command', send: () => this.runCommand(hook, body, payload) }))
+    ];
+    
+    return Promise.all(hooks.map(async ({ label, type, send }) => {
+      try {
+        await send();
+        this.logger.info(`Sent ${payload.status} notification to ${type} ${label}`);
+        this.auditLogger.logNotification(label, type, payload.status, true);
+        return { hook: label, type, success: true };
+      } catch (error) {
+        this.logger.error(`Failed to send ${payload.status} notification to ${type} ${label}: ${error.message}`);
+        this.auditLogger.logNotification(label, type, payload.status, false);
+        return { hook: label, type, success: false, error: error.message };
+      }
+    }));
+  }
+
+  // POST the payload, retrying with exponential backoff while failures may pass
+  async sendWebhook(webhook, body) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await fetch(webhook.url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'User-Agent': 'backup-to-s3', ...webhook.headers },
+          body,
+          signal: AbortSignal.timeout(webhook.timeout)
+        });
+        // Drain the body so the connection is released
+        await response.arrayBuffer();
+        
+        if (response.ok) {
+          return;
+        }
+        const error = new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+        error.status = response.status;
+        throw error;
+      } catch (error) {
+        const message = error.name === 'TimeoutError' ? `timed out after ${webhook.timeout} ms` : error.message;
+        if (attempt >= webhook.retries || !isRetryable(error)) {
+          throw new Error(attempt > 0 ? `${message} (after ${attempt + 1} attempts)` : message);
+        }
+        
+        const delay = RETRY_BASE_DELAY * 2 ** attempt;
+        this.logger.warn(`Webhook ${webhookLabel(webhook)} failed (${message}), retrying in ${delay} ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Run a local command without a shell, the payload on its stdin and the status in its environment
+  async runCommand(hook, body, payload) {
+    await execCommandWithTimeout(hook.command, hook.args, {
+      env: { ...process.env, BACKUP_STATUS: payload.status, BACKUP_PROJECT: payload.project },
+      input: body,
+      timeout: hook.timeout
+    });
+  }
+}
+
+module.exports = Notifier;
\ No newline at end of file
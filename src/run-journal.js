@@ -0,0 +1,171 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const JOURNAL_FILE = 'journal.json';
+
+// What tells a process apart from a later one with the same PID, where /proc has it: the
+// boot it runs in and its start time since boot (field 22 of its stat)
+const processIdentity = (pid) => {
+  try {
+    const bootId = fs.readFileSync('/proc/sys/kernel/random/boot_id', 'utf8').trim();
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The command name before the fields may contain spaces, but not a closing parenthesis
+    const startTime = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[19];
+    return `${bootId}:${startTime}`;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Directories of the runs this process is working on; a daemon runs one after another
+const openDirectories = new Set();
+
+// Whether the process that owns a journal still runs it. Runs of other hosts sharing the
+// state directory are theirs to resume, so they count as running.
+const isRunning = (state, directory) => {
+  if (state.hostname !== os.hostname()) {
+    return true;
+  }
+  if (state.pid === process.pid && state.process === processIdentity(process.pid)) {
+    return openDirectories.has(directory);
+  }
+  
+  try {
+    process.kill(state.pid, 0);
+  } catch (error) {
+    // EPERM: the process exists, but belongs to another user
+    if (error.code !== 'EPERM') {
+      return false;
+    }
+  }
+  
+  // The PID may have been reused since, by another process or after a reboot
+  return !state.process || processIdentity(state.pid) === state.process;
+};
+
+// Whose run this is, recorded with every journal the process writes
+const owner = () => ({ hostname: os.hostname(), pid: process.pid, process: processIdentity(process.pid) });
+
+const readJournal = (directory) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(directory, JOURNAL_FILE), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Working directory of one backup run, with a journal of the run's timestamp and of every
+ * archive written so far. A run that succeeds removes its directory; one that fails, or
+ * whose process dies, leaves it behind, and the next run of the same targets continues it:
+ * it keeps the timestamp, so keys and upload checkpoints match, and only archives the
+ * targets missing.
+ */
+class RunJournal {
+  constructor(directory, state) {
+    this.directory = directory;
+    this.state = state;
+  }
+
+  get timestamp() {
+    return this.state.timestamp;
+  }
+
+  // Archives written by the run, and still on disk
+  get backups() {
+    return this.state.backups.filter(backup => fs.existsSync(backup.path)
+      && (!backup.indexPath || fs.existsSync(backup.indexPath)));
+  }
+
+  // Record an archive once it is written
+  record(backup) {
+    this.state.backups = [...this.state.backups.filter(item => item.name !== backup.name), backup];
+    this.save();
+  }
+
+  // Leave the run to be resumed
+  close() {
+    openDirectories.delete(this.directory);
+  }
+
+  remove() {
+    fs.rmSync(this.directory, { recursive: true, force: true });
+    this.close();
+  }
+
+  // Replaced at once, so an interruption cannot leave half of it
+  save() {
+    const journalPath = path.join(this.directory, JOURNAL_FILE);
+    fs.writeFileSync(`${journalPath}.tmp`, JSON.stringify(this.state), { mode: 0o600 });
+    fs.renameSync(`${journalPath}.tmp`, journalPath);
+  }
+
+  /**
+   * Continue the unfinished run of a project that backed up the same targets, started at
+   * most resumeWithin hours ago, or start a new one. Other unfinished runs are removed;
+   * runs of processes still running are left alone.
+   * @param {string} stateDir - Directory holding the runs of every project
+   * @param {string} projectName - Project of the run
+   * @param {string} timestamp - Timestamp of a new run
+   * @param {string[]} targetNames - Targets the run backs up
+   * @param {number} resumeWithin - Age in hours beyond which a run is not resumed
+   * @param {Object} logger - Logger
+   * @returns {RunJournal}
+   */
+  static open(stateDir, projectName, timestamp, targetNames, resumeWithin, logger) {
+    const projectDir = path.join(stateDir, projectName);
+    const targets = [...targetNames].sort();
+    fs.mkdirSync(projectDir, { recursive: true, mode: 0o700 });
+    
+    let resumed = null;
+    fs.readdirSync(projectDir).sort().reverse().forEach(name => {
+      const directory = path.join(projectDir, name);
+      const state = readJournal(directory);
+      if (!state || isRunning(state, directory)) {
+        return;
+      }
+      
+      const journal = new RunJournal(directory, { ...state, ...owner() });
+      let reason = null;
+      if (resumed) {
+        reason = 'a newer run is resumed';
+      } else if (!(Date.parse(state.startedAt) >= Date.now() - resumeWithin * 60 * 60 * 1000)) {
+        // Also true of a journal without a start time
+        reason = `it started more than ${resumeWithin} hours ago`;
+      } else if (JSON.stringify(state.targets) !== JSON.stringify(targets)) {
+        reason = 'it backed up other targets';
+      } else if (journal.backups.length === 0) {
+        reason = 'it has no archives';
+      }
+      
+      if (reason) {
+        logger.warn(`Discarding unfinished run ${state.timestamp}: ${reason}`);
+        journal.remove();
+      } else {
+        resumed = journal;
+      }
+    });
+    
+    if (resumed) {
+      openDirectories.add(resumed.directory);
+      resumed.save();
+      logger.info(`Resuming unfinished run ${resumed.timestamp} (${resumed.backups.length} of ${targets.length} targets already archived)`);
+      return resumed;
+    }
+    
+    const journal = new RunJournal(fs.mkdtempSync(path.join(projectDir, `${timestamp}-`)), {
+      timestamp,
+      startedAt: new Date().toISOString(),
+      targets,
+      ...owner(),
+      backups: []
+    });
+    openDirectories.add(journal.directory);
+    journal.save();
+    
+    return journal;
+  }
+}
+
+module.exports = RunJournal;
\ No newline at end of file
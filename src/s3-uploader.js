@@ -1,15 +1,78 @@
-const { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { Upload } = require('@aws-sdk/lib-storage');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const BackupStorage = require('./backup-storage');
+const AuditLogger = require('./audit-logger');
+const ArchiveEncryption = require('./encryption');
+const { mapWithConcurrency } = require('./utils');
+
+// DeleteObjects accepts at most 1000 keys per request
+const DELETE_BATCH_SIZE = 1000;
+// A multipart upload has at most 10000 parts
+const MAX_PARTS = 10000;
+// Multipart upload checkpoints are kept here unless uploadStateDir says otherwise
+const DEFAULT_STATE_DIR = path.join(os.tmpdir(), 'backup-to-s3-uploads');
+
+// Network failures, timeouts, throttling and server errors may pass; denied access or a
+// missing bucket will not
+const RETRYABLE_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH']);
+const RETRYABLE_NAMES = new Set(['TimeoutError', 'RequestTimeout', 'SlowDown', 'InternalError', 'ServiceUnavailable']);
+
+const isRetryable = (error) => {
+  const status = error.$metadata?.httpStatusCode;
+  return Boolean(error.$retryable) || status === 429 || status >= 500 ||
+    RETRYABLE_CODES.has(error.code) || RETRYABLE_NAMES.has(error.name);
+};
+
+const isMissingUpload = (error) => error.name === 'NoSuchUpload' || error.$metadata?.httpStatusCode === 404;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// A checkpoint that cannot be read is as good as none; the upload starts over
+const readCheckpoint = (checkpointPath) => {
+  try {
+    return JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a file is still the one a checkpoint was written for
+const matchesFile = (checkpoint, filePath) => {
+  try {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    return checkpoint.size === size && checkpoint.mtimeMs === mtimeMs;
+  } catch (error) {
+    return false;
+  }
+};
 
-class S3Uploader {
-  constructor(s3Config, projectName, logger) {
-    this.logger = logger;
-    this.projectName = projectName;
+// Storage backend for Amazon S3 and S3-compatible services
+class S3Uploader extends BackupStorage {
+  constructor(s3Config, projectName, logger, auditLogger = new AuditLogger({ enabled: false }), encryption = new ArchiveEncryption()) {
+    super({ name: s3Config.name || 's3', type: 's3' }, projectName, logger, auditLogger, encryption);
     
     const clientConfig = {
       region: s3Config.region,
+      // Requests are retried by withRetry, so the SDK must not retry them as well
+      maxAttempts: 1,
       credentials: {
         accessKeyId: s3Config.accessKeyId,
         secretAccessKey: s3Config.secretAccessKey
@@ -23,134 +86,357 @@ class S3Uploader {
     
     this.s3Client = new S3Client(clientConfig);
     this.bucket = s3Config.bucket;
+    // Multipart settings: bytes per part and parts uploaded in parallel per file
+    this.partSize = s3Config.partSize;
+    this.queueSize = s3Config.queueSize;
+    // { attempts, baseDelay, maxDelay } of requests that fail transiently
+    this.retry = s3Config.retry;
+    this.stateDir = s3Config.uploadStateDir || DEFAULT_STATE_DIR;
+    // Hours after which an incomplete multipart upload is aborted, or 0 for never
+    this.abortIncompleteAfter = s3Config.abortIncompleteAfter;
+    this.auditLogger.logCredentialAccess('config_file', 's3');
   }
 
-  async uploadFile(filePath, s3Key) {
-    const fileStream = fs.createReadStream(filePath);
-    const fileName = path.basename(filePath);
-    
-    this.logger.info(`Uploading ${fileName} to S3...`);
-    
-    const uploadParams = {
-      Bucket: this.bucket,
-      Key: s3Key,
-      Body: fileStream,
-      ServerSideEncryption: 'AES256'
-    };
+  // Run an S3 request, retrying while its failures may pass. Each wait doubles up to maxDelay
+  // and is jittered, so that parts failing together do not all retry at once.
+  async withRetry(description, request) {
+    const { attempts, baseDelay, maxDelay } = this.retry;
     
-    try {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await request();
+      } catch (error) {
+        if (attempt >= attempts || !isRetryable(error)) {
+          if (attempt > 1) {
+            error.message = `${error.message} (after ${attempt} attempts)`;
+          }
+          throw error;
+        }
+        
+        const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+        this.logger.warn(`${description} on ${this.name} failed (${error.message}), retrying in ${delay} ms (attempt ${attempt + 1} of ${attempts})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  async put(key, body, options = {}) {
+    const send = () => {
       // Use the multipart upload utility for better performance
       const upload = new Upload({
         client: this.s3Client,
-        params: uploadParams
+        params: {
+          Bucket: this.bucket,
+          Key: key,
+          Body: body,
+          Metadata: options.metadata || {},
+          ...(options.contentType && { ContentType: options.contentType }),
+          ServerSideEncryption: 'AES256'
+        },
+        ...(this.partSize && { partSize: this.partSize }),
+        ...(this.queueSize && { queueSize: this.queueSize })
       });
+      return upload.done();
+    };
+    
+    // A buffer can be sent again; a stream is gone after the first attempt
+    const result = Buffer.isBuffer(body) ? await this.withRetry(`Upload of ${key}`, send) : await send();
+    
+    return { location: result.Location || `s3://${this.bucket}/${key}` };
+  }
+
+  // Files are uploaded in parts read from disk, so a failed part is retried on its own and an
+  // interrupted upload resumes from its checkpoint. Parts must read the same every time, so an
+  // encrypted file is encrypted into a temporary file next to it first. Until its upload
+  // succeeds, that file stays with the run's archives, and resuming the upload reuses it.
+  async putFile(key, filePath, options = {}) {
+    if (!this.encryption.enabled) {
+      return this.putFileParts(key, filePath, options.metadata || {});
+    }
+    
+    const encryptedPath = `${filePath}.${this.name}.enc`;
+    const checkpoint = readCheckpoint(this.checkpointPath(key, encryptedPath));
+    let result;
+    
+    if (checkpoint && checkpoint.metadata && matchesFile(checkpoint, encryptedPath)) {
+      result = await this.putFileParts(key, encryptedPath, checkpoint.metadata);
+    } else {
+      const { stream, metadata } = await this.encryption.createEncryptStream();
+      await pipeline(fs.createReadStream(filePath), stream, fs.createWriteStream(encryptedPath, { mode: 0o600 }));
+      result = await this.putFileParts(key, encryptedPath, { ...options.metadata, ...metadata });
+    }
+    
+    fs.rmSync(encryptedPath, { force: true });
+    return result;
+  }
+
+  async putFileParts(key, filePath, metadata) {
+    const { size, mtimeMs } = fs.statSync(filePath);
+    // Parts grow beyond partSize for files that would otherwise need too many
+    const partSize = Math.max(this.partSize, Math.ceil(size / MAX_PARTS));
+    
+    if (size <= partSize) {
+      await this.withRetry(`Upload of ${key}`, () => this.s3Client.send(new PutObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        Body: fs.createReadStream(filePath),
+        ContentLength: size,
+        Metadata: metadata,
+        ServerSideEncryption: 'AES256'
+      })));
       
-      const result = await upload.done();
+      return { location: `s3://${this.bucket}/${key}` };
+    }
+    
+    const partCount = Math.ceil(size / partSize);
+    const checkpoint = await this.openCheckpoint(key, filePath, { size, mtimeMs, partSize }, metadata);
+    const uploaded = new Set(checkpoint.parts.map(part => part.PartNumber));
+    const pending = Array.from({ length: partCount }, (_, index) => index + 1).filter(number => !uploaded.has(number));
+    
+    if (uploaded.size > 0) {
+      this.logger.info(`Resuming upload of ${key} to ${this.name}: ${uploaded.size} of ${partCount} parts already uploaded`);
+    }
+    
+    await mapWithConcurrency(pending, this.queueSize, async (partNumber) => {
+      const start = (partNumber - 1) * partSize;
+      const end = Math.min(start + partSize, size);
       
-      this.logger.info(`Successfully uploaded ${fileName} to ${result.Location}`);
+      const { ETag } = await this.withRetry(`Upload of part ${partNumber} of ${key}`, () => this.s3Client.send(new UploadPartCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: checkpoint.uploadId,
+        PartNumber: partNumber,
+        Body: fs.createReadStream(filePath, { start, end: end - 1 }),
+        ContentLength: end - start
+      })));
       
-      return {
-        fileName,
-        s3Key,
-        location: result.Location,
-        size: fs.statSync(filePath).size
-      };
+      checkpoint.parts.push({ PartNumber: partNumber, ETag });
+      this.saveCheckpoint(checkpoint);
+    });
+    
+    const result = await this.withRetry(`Completion of upload of ${key}`, () => this.s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: checkpoint.uploadId,
+      MultipartUpload: { Parts: [...checkpoint.parts].sort((a, b) => a.PartNumber - b.PartNumber) }
+    })));
+    fs.rmSync(checkpoint.path, { force: true });
+    
+    return { location: result.Location || `s3://${this.bucket}/${key}` };
+  }
+
+  // Checkpoints are named after the bucket, key and file, so only the same upload resumes
+  checkpointPath(key, filePath) {
+    const id = crypto.createHash('sha256').update(`${this.bucket}\0${key}\0${path.resolve(filePath)}`).digest('hex');
+    return path.join(this.stateDir, `${id}.json`);
+  }
+
+  // Resume the upload of a checkpoint if the file is unchanged and S3 still has the upload,
+  // keeping the parts S3 holds with the recorded ETag; otherwise start a new upload
+  async openCheckpoint(key, filePath, file, metadata) {
+    const checkpointPath = this.checkpointPath(key, filePath);
+    const saved = readCheckpoint(checkpointPath);
+    
+    if (saved && saved.size === file.size && saved.mtimeMs === file.mtimeMs && saved.partSize === file.partSize) {
+      const parts = await this.listParts(key, saved.uploadId);
+      if (parts) {
+        const etags = new Map(parts.map(part => [part.PartNumber, part.ETag]));
+        return { ...saved, path: checkpointPath, parts: saved.parts.filter(part => etags.get(part.PartNumber) === part.ETag) };
+      }
+    } else if (saved) {
+      this.logger.warn(`${key} changed since its upload to ${this.name} was interrupted; starting over`);
+      await this.abortUpload(key, saved.uploadId).catch(error => {
+        this.logger.warn(`Failed to abort the earlier upload of ${key} on ${this.name}: ${error.message}`);
+      });
+    }
+    
+    const { UploadId } = await this.withRetry(`Start of upload of ${key}`, () => this.s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Metadata: metadata,
+      ServerSideEncryption: 'AES256'
+    })));
+    
+    const checkpoint = { path: checkpointPath, bucket: this.bucket, key, file: path.resolve(filePath), ...file, metadata, uploadId: UploadId, parts: [] };
+    this.saveCheckpoint(checkpoint);
+    
+    return checkpoint;
+  }
+
+  // Written after every part, and replaced at once so an interruption cannot leave half of it
+  saveCheckpoint(checkpoint) {
+    const { path: checkpointPath, ...state } = checkpoint;
+    const tempPath = `${checkpointPath}.${process.pid}.tmp`;
+    
+    fs.mkdirSync(this.stateDir, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(tempPath, JSON.stringify(state), { mode: 0o600 });
+    fs.renameSync(tempPath, checkpointPath);
+  }
+
+  // Parts S3 holds of a multipart upload, or null if the upload is gone
+  async listParts(key, uploadId) {
+    const parts = [];
+    let marker;
+    
+    try {
+      do {
+        const result = await this.withRetry(`Listing of parts of ${key}`, () => this.s3Client.send(new ListPartsCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumberMarker: marker
+        })));
+        parts.push(...(result.Parts || []));
+        marker = result.IsTruncated ? result.NextPartNumberMarker : undefined;
+      } while (marker);
     } catch (error) {
-      throw new Error(`Failed to upload ${fileName}: ${error.message}`);
+      if (isMissingUpload(error)) {
+        return null;
+      }
+      throw error;
     }
+    
+    return parts;
   }
 
-  async uploadBackups(backupFiles, timestamp) {
-    const results = [];
+  async abortUpload(key, uploadId) {
+    try {
+      await this.withRetry(`Abort of upload of ${key}`, () => this.s3Client.send(new AbortMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId
+      })));
+    } catch (error) {
+      if (!isMissingUpload(error)) {
+        throw error;
+      }
+    }
+  }
+
+  // Abort the project's multipart uploads left incomplete for longer than abortIncompleteAfter,
+  // and drop their checkpoints; S3 bills their parts until then
+  async abortStaleUploads() {
+    if (!this.abortIncompleteAfter) {
+      return 0;
+    }
     
-    for (const backup of backupFiles) {
-      const s3Key = `${this.projectName}/${backup.name}/${path.basename(backup.path)}`;
-      
+    const cutoff = Date.now() - this.abortIncompleteAfter * 60 * 60 * 1000;
+    const uploads = [];
+    let keyMarker;
+    let uploadIdMarker;
+    
+    do {
+      const result = await this.withRetry('Listing of incomplete uploads', () => this.s3Client.send(new ListMultipartUploadsCommand({
+        Bucket: this.bucket,
+        Prefix: `${this.projectName}/`,
+        KeyMarker: keyMarker,
+        UploadIdMarker: uploadIdMarker
+      })));
+      uploads.push(...(result.Uploads || []));
+      keyMarker = result.IsTruncated ? result.NextKeyMarker : undefined;
+      uploadIdMarker = result.IsTruncated ? result.NextUploadIdMarker : undefined;
+    } while (keyMarker);
+    
+    const aborted = new Set();
+    for (const upload of uploads.filter(item => item.Initiated && new Date(item.Initiated).getTime() < cutoff)) {
       try {
-        const result = await this.uploadFile(backup.path, s3Key);
-        results.push(result);
+        await this.abortUpload(upload.Key, upload.UploadId);
+        aborted.add(upload.UploadId);
+        this.logger.info(`Aborted incomplete upload of ${upload.Key} on ${this.name}, started ${new Date(upload.Initiated).toISOString()}`);
       } catch (error) {
-        this.logger.error(`Failed to upload backup ${backup.name}: ${error.message}`);
-        throw error;
+        this.logger.warn(`Failed to abort incomplete upload of ${upload.Key} on ${this.name}: ${error.message}`);
       }
     }
     
-    return results;
+    if (aborted.size > 0 && fs.existsSync(this.stateDir)) {
+      fs.readdirSync(this.stateDir)
+        .filter(fileName => fileName.endsWith('.json'))
+        .map(fileName => path.join(this.stateDir, fileName))
+        .filter(checkpointPath => aborted.has(readCheckpoint(checkpointPath)?.uploadId))
+        .forEach(checkpointPath => fs.rmSync(checkpointPath, { force: true }));
+    }
+    
+    return aborted.size;
   }
 
-  async listBackups(prefix = '') {
+  async get(key) {
+    const result = await this.s3Client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+    
+    return {
+      body: result.Body,
+      metadata: result.Metadata || {},
+      size: result.ContentLength
+    };
+  }
+
+  async head(key) {
     try {
-      // Default to project-scoped listing if no prefix provided
-      const searchPrefix = prefix || `${this.projectName}/`;
-      
-      const command = new ListObjectsV2Command({
+      const result = await this.s3Client.send(new HeadObjectCommand({
         Bucket: this.bucket,
-        Prefix: searchPrefix
-      });
+        Key: key
+      }));
       
-      const result = await this.s3Client.send(command);
-      return result.Contents || [];
+      return {
+        metadata: result.Metadata || {},
+        size: result.ContentLength,
+        lastModified: result.LastModified
+      };
     } catch (error) {
-      throw new Error(`Failed to list backups: ${error.message}`);
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) {
+        return null;
+      }
+      throw error;
     }
   }
 
-  async deleteBackup(s3Key) {
-    try {
-      const command = new DeleteObjectCommand({
+  // Follow continuation tokens past 1000 keys
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+    
+    do {
+      const command = new ListObjectsV2Command({
         Bucket: this.bucket,
-        Key: s3Key
+        Prefix: prefix,
+        ContinuationToken: continuationToken
       });
       
-      await this.s3Client.send(command);
-      this.logger.info(`Deleted backup: ${s3Key}`);
-    } catch (error) {
-      throw new Error(`Failed to delete backup ${s3Key}: ${error.message}`);
-    }
+      const result = await this.withRetry(`Listing of ${prefix}`, () => this.s3Client.send(command));
+      objects.push(...(result.Contents || []));
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+    
+    return objects;
   }
 
-  async cleanupOldBackups(retentionConfig) {
-    const { daily = 7, weekly = 4, monthly = 12 } = retentionConfig;
+  // Delete in batches of DeleteObjects requests; a failed request fails every key of its batch
+  async delete(keys) {
+    const failed = new Map();
     
-    try {
-      // Only clean up backups within this project
-      const backups = await this.listBackups(`${this.projectName}/`);
-      const now = new Date();
-      let deletedCount = 0;
+    for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+      const batch = keys.slice(i, i + DELETE_BATCH_SIZE);
       
-      for (const backup of backups) {
-        const backupDate = new Date(backup.LastModified);
-        const daysDiff = Math.floor((now - backupDate) / (1000 * 60 * 60 * 24));
-        
-        let shouldDelete = false;
-        
-        if (daysDiff > daily && daysDiff <= 28) {
-          const weeksDiff = Math.floor(daysDiff / 7);
-          if (weeksDiff > weekly) {
-            shouldDelete = true;
-          }
-        } else if (daysDiff > 28) {
-          const monthsDiff = Math.floor(daysDiff / 30);
-          if (monthsDiff > monthly) {
-            shouldDelete = true;
+      try {
+        const command = new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: {
+            Objects: batch.map(Key => ({ Key })),
+            Quiet: false
           }
-        }
+        });
         
-        if (shouldDelete) {
-          await this.deleteBackup(backup.Key);
-          deletedCount++;
-        }
-      }
-      
-      if (deletedCount > 0) {
-        this.logger.info(`Cleaned up ${deletedCount} old backup(s) for project: ${this.projectName}`);
+        const result = await this.withRetry(`Deletion of ${batch.length} object(s)`, () => this.s3Client.send(command));
+        (result.Errors || []).forEach(error => failed.set(error.Key, error.Message || error.Code));
+      } catch (error) {
+        batch.forEach(key => failed.set(key, error.message));
       }
-      
-      return { deletedCount };
-    } catch (error) {
-      this.logger.error(`Failed to cleanup old backups: ${error.message}`);
-      throw error;
     }
+    
+    return failed;
   }
 }
 
@@ -0,0 +1,152 @@
+const { Cron } = require('croner');
+const BackupManager = require('./index');
+
+// Name of the schedule built from backup.schedule
+const DEFAULT_SCHEDULE_NAME = 'default';
+
+// Run time as wall-clock time in the schedule's time zone, e.g. 2026-01-15 02:00:00 Europe/Berlin
+const formatRunTime = (date, timezone) => {
+  if (!date) {
+    return 'never';
+  }
+  
+  const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  return `${date.toLocaleString('sv-SE', { timeZone: zone })} ${zone}`;
+};
+
+class BackupScheduler {
+  constructor(configPath, config, logger, options = {}) {
+    this.configPath = configPath;
+    this.config = config;
+    this.logger = logger;
+    // Passed to each run's BackupManager, and to runBackup as its error policy
+    this.managerOptions = options.managerOptions || {};
+    this.onError = options.onError;
+    // Schedulers of several projects share one queue, so that their runs take turns
+    this.queue = options.queue || { tail: Promise.resolve() };
+    // Schedule names are only unique within a project
+    this.namePrefix = options.namePrefix || '';
+    // Targets every run is limited to, as picked with daemon --target
+    this.targets = options.targets || null;
+    this.jobs = [];
+    this.current = null;
+    this.stopping = false;
+  }
+
+  // backup.schedule and the named backup.schedules as one list. Limited to some targets,
+  // each schedule backs up those of them it covers, and schedules covering none are left out.
+  static resolveSchedules(backupConfig, targets = null) {
+    const schedules = [...backupConfig.schedules];
+    
+    if (backupConfig.schedule) {
+      schedules.unshift({ name: DEFAULT_SCHEDULE_NAME, cron: backupConfig.schedule });
+    }
+    
+    return schedules
+      .map(schedule => ({
+        ...schedule,
+        timezone: schedule.timezone || backupConfig.timezone,
+        ...(targets && { targets: schedule.targets ? schedule.targets.filter(name => targets.includes(name)) : targets })
+      }))
+      .filter(schedule => !schedule.targets || schedule.targets.length > 0);
+  }
+
+  start() {
+    const known = [...this.config.directories, ...this.config.databases].map(target => target.name);
+    const unknown = (this.targets || []).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown backup target(s): ${unknown.join(', ')}`);
+    }
+    
+    const schedules = BackupScheduler.resolveSchedules(this.config.backup, this.targets)
+      .map(schedule => ({ ...schedule, name: `${this.namePrefix}${schedule.name}` }));
+    
+    if (schedules.length === 0) {
+      throw new Error(this.targets
+        ? `No schedules back up ${this.targets.join(', ')}`
+        : 'No schedules configured: set backup.schedule or backup.schedules');
+    }
+    
+    this.jobs = schedules.map(schedule => {
+      const job = new Cron(schedule.cron, { timezone: schedule.timezone }, () => this.trigger(schedule, job));
+      const targets = schedule.targets ? schedule.targets.join(', ') : 'all targets';
+      
+      this.logger.info(`Schedule ${schedule.name} (${schedule.cron}) backs up ${targets}; next run ${formatRunTime(job.nextRun(), schedule.timezone)}`);
+      
+      return job;
+    });
+  }
+
+  // Runs never overlap: a schedule that fires during another run of its project skips
+  // that time, while one that fires during another project's run waits for it
+  async trigger(schedule, job) {
+    if (this.stopping) {
+      return;
+    }
+    
+    if (this.current) {
+      this.logger.warn(`Skipping schedule ${schedule.name}: run of ${this.current.schedule.name} is still in progress; next run ${formatRunTime(job.nextRun(), schedule.timezone)}`);
+      return;
+    }
+    
+    const controller = new AbortController();
+    const run = this.queue.tail.then(() => (this.stopping ? null : this.runSchedule(schedule, controller.signal)));
+    this.queue.tail = run;
+    this.current = { schedule, controller, run };
+    
+    try {
+      await run;
+    } finally {
+      this.current = null;
+      if (!this.stopping) {
+        this.logger.info(`Next run of schedule ${schedule.name}: ${formatRunTime(job.nextRun(), schedule.timezone)}`);
+      }
+    }
+  }
+
+  // Every run reads the configuration afresh and has its own session
+  async runSchedule(schedule, signal) {
+    this.logger.info(`Starting scheduled backup ${schedule.name}...`);
+    
+    try {
+      const backupManager = new BackupManager(this.configPath, this.managerOptions);
+      const result = await backupManager.runBackup({ targets: schedule.targets, onError: this.onError, signal });
+      
+      const completed = `${result.backups || 0} of ${result.targets.length} targets completed`;
+      if (result.status === 'success') {
+        this.logger.info(`Scheduled backup ${schedule.name} succeeded: ${completed}`);
+      } else {
+        this.logger.error(`Scheduled backup ${schedule.name} ${result.status === 'partial' ? 'partially failed' : 'failed'}: ${completed}`);
+      }
+      
+      return result;
+    } catch (error) {
+      this.logger.error(`Scheduled backup ${schedule.name} failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Stop scheduling. The current run is left to finish, or with options.cancel its
+  // targets not yet started are skipped; either way it cleans up before this resolves.
+  async stop(options = {}) {
+    this.stopping = true;
+    this.jobs.forEach(job => job.stop());
+    
+    if (!this.current) {
+      return;
+    }
+    
+    const { schedule, controller, run } = this.current;
+    
+    if (options.cancel) {
+      this.logger.warn(`Cancelling scheduled backup ${schedule.name}...`);
+      controller.abort(new Error('Backup cancelled by shutdown'));
+    } else {
+      this.logger.info(`Waiting for scheduled backup ${schedule.name} to finish...`);
+    }
+    
+    await run;
+  }
+}
+
+module.exports = BackupScheduler;
\ No newline at end of file
@@ -2,6 +2,15 @@
  * Utility functions for backup operations
  */
 
+const fs = require('fs');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+
+// Only the tail of a hook's or notification command's output is kept for error messages
+const MAX_OUTPUT_LENGTH = 4 * 1024;
+// Time a command that timed out gets to exit on SIGTERM before it is killed
+const KILL_GRACE_PERIOD = 5000;
+
 /**
  * Generate timestamp string for backup files
  * Format: YYYY-MM-DD_HH-MM-SS
@@ -19,6 +28,16 @@ function generateTimestamp(date = new Date()) {
   return `${year}-${month}-${day}_${hours}-${minutes}-${seconds}`;
 }
 
+/**
+ * Extension of the file index uploaded next to each incremental directory archive
+ */
+const INDEX_EXTENSION = '.index.json.gz';
+
+/**
+ * Secrets shorter than this are not masked inside other text
+ */
+const MIN_REDACTED_LENGTH = 4;
+
 /**
  * Generate filename with timestamp
  * @param {string} baseName - Base name without extension
@@ -55,8 +74,212 @@ function parseTimestampFromFilename(filename) {
   );
 }
 
+/**
+ * Parse a date range boundary given as YYYY-MM-DD or a full backup timestamp
+ * @param {string} value - Date (YYYY-MM-DD) or timestamp (YYYY-MM-DD_HH-MM-SS)
+ * @param {boolean} endOfDay - Whether a bare date means the end of that day
+ * @returns {Date} Local date the boundary refers to
+ */
+function parseDateBoundary(value, endOfDay = false) {
+  if (/^\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}$/.test(value)) {
+    return parseTimestampFromFilename(`_${value}`);
+  }
+  
+  const dateMatch = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dateMatch) {
+    throw new Error(`Invalid date: ${value}. Use YYYY-MM-DD or YYYY-MM-DD_HH-MM-SS.`);
+  }
+  
+  const [, year, month, day] = dateMatch;
+  return endOfDay
+    ? new Date(parseInt(year), parseInt(month) - 1, parseInt(day), 23, 59, 59, 999)
+    : new Date(parseInt(year), parseInt(month) - 1, parseInt(day));
+}
+
+/**
+ * Calculate the SHA-256 checksum of a file without loading it into memory
+ * @param {string} filePath - Path of the file to hash
+ * @returns {Promise<string>} Hex encoded SHA-256 digest
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/**
+ * Mask every occurrence of the given secret values in a piece of text
+ * @param {string} text - Text that may contain secrets, e.g. an error message
+ * @param {string[]} secrets - Secret values to mask
+ * @returns {string} Text with each secret replaced by [REDACTED]
+ */
+function redactSecrets(text, secrets = []) {
+  // Very short values would mask unrelated text; longer secrets go first so that
+  // one containing another is masked whole
+  return secrets
+    .filter(secret => secret.length >= MIN_REDACTED_LENGTH)
+    .sort((a, b) => b.length - a.length)
+    .reduce((result, secret) => result.split(secret).join('[REDACTED]'), text);
+}
+
+/**
+ * Create a limiter that runs at most `limit` async tasks at a time, in call order
+ * @param {number} limit - Maximum number of tasks running concurrently
+ * @returns {function(function(): Promise): Promise} Schedules a task and resolves with its result
+ */
+function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+  
+  const next = () => {
+    if (active >= limit || queue.length === 0) {
+      return;
+    }
+    
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+  
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Map items through an async function with bounded concurrency. After the first
+ * failure no further items are started; tasks already running are awaited before
+ * the first error is thrown, so nothing is left running in the background.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of items processed concurrently
+ * @param {function(*, number): Promise} fn - Called with each item and its index
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops further items from starting once aborted
+ * @returns {Promise<Array>} Results in item order
+ */
+async function mapWithConcurrency(items, limit, fn, options = {}) {
+  const { signal } = options;
+  const run = createLimiter(limit);
+  let firstError = null;
+  
+  const settled = await Promise.allSettled(items.map((item, index) => run(async () => {
+    if (!firstError && signal?.aborted) {
+      firstError = signal.reason;
+    }
+    if (firstError) {
+      throw firstError;
+    }
+    
+    try {
+      return await fn(item, index);
+    } catch (error) {
+      firstError = firstError || error;
+      throw error;
+    }
+  })));
+  
+  if (firstError) {
+    throw firstError;
+  }
+  
+  return settled.map(result => result.value);
+}
+
+/**
+ * Run a command of the user's without a shell, giving it input on stdin (or nothing), and
+ * kill it once options.timeout ms have passed: SIGTERM first, SIGKILL if it ignores that
+ * @param {string} command - Command to run
+ * @param {string[]} args - Its arguments
+ * @param {Object} options - timeout in ms, input for stdin, and options of spawn
+ * @returns {Promise<{output: string}>} The tail of its stdout and stderr
+ */
+function execCommandWithTimeout(command, args, options = {}) {
+  const { timeout, input, ...spawnOptions } = options;
+  
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, {
+      ...spawnOptions,
+      stdio: [input === undefined ? 'ignore' : 'pipe', 'pipe', 'pipe']
+    });
+    let output = '';
+    let timedOut = false;
+    let killTimer;
+    
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill('SIGTERM');
+      killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_PERIOD);
+    }, timeout);
+    
+    const settle = (error) => {
+      clearTimeout(timer);
+      clearTimeout(killTimer);
+      if (error) {
+        reject(error);
+      } else {
+        resolve({ output: output.trim() });
+      }
+    };
+    
+    const collect = (data) => {
+      output = (output + data.toString()).slice(-MAX_OUTPUT_LENGTH);
+    };
+    child.stdout.on('data', collect);
+    child.stderr.on('data', collect);
+    
+    if (input !== undefined) {
+      // A command that ignores its stdin may exit before reading it; its exit code decides
+      child.stdin.on('error', () => {});
+      child.stdin.end(input);
+    }
+    
+    child.on('error', (error) => {
+      settle(error.code === 'ENOENT' ? new Error(`${command} not found`) : error);
+    });
+    // A command that timed out is done once it exits, even if a process it started still
+    // holds its output open
+    child.on('exit', () => {
+      if (timedOut) {
+        child.stdout.destroy();
+        child.stderr.destroy();
+        settle(new Error(`timed out after ${timeout} ms`));
+      }
+    });
+    child.on('close', (code) => {
+      if (timedOut) {
+        return;
+      }
+      if (code !== 0) {
+        settle(new Error(`exited with code ${code}${output.trim() ? `: ${output.trim()}` : ''}`));
+      } else {
+        settle(null);
+      }
+    });
+  });
+}
+
 module.exports = {
+  INDEX_EXTENSION,
   generateTimestamp,
   generateTimestampedFilename,
-  parseTimestampFromFilename
+  parseTimestampFromFilename,
+  parseDateBoundary,
+  hashFile,
+  redactSecrets,
+  createLimiter,
+  mapWithConcurrency,
+  execCommandWithTimeout
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const AuditLogger = require('../src/audit-logger');
+
+const CLI = path.join(__dirname, '..', 'src', 'cli.js');
+
+// An audit logger writing to a log file of its own
+const createLog = (t, options = {}) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const logFile = path.join(root, 'audit.log');
+  return { root, logFile, auditLogger: new AuditLogger({ logFile, ...options }) };
+};
+
+const readEntries = (logFile) => fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+
+test('storage events record the key of the object', (t) => {
+  const { logFile, auditLogger } = createLog(t);
+  const destination = { name: 'nas', type: 'local' };
+  
+  auditLogger.logStorageUpload(destination, 'files_2026-01-01_00-00-00.tar.gz', 'web/files/files_2026-01-01_00-00-00.tar.gz', true, 42);
+  auditLogger.logStorageDelete(destination, 'web/files/files_2025-01-01_00-00-00.tar.gz', true);
+  
+  const [upload, deletion] = readEntries(logFile);
+  assert.equal(upload.eventType, 'STORAGE_UPLOAD');
+  assert.equal(upload.details.s3Key, 'web/files/files_2026-01-01_00-00-00.tar.gz');
+  assert.equal(deletion.eventType, 'STORAGE_DELETE');
+  assert.equal(deletion.details.s3Key, 'web/files/files_2025-01-01_00-00-00.tar.gz');
+});
+
+test('credentials in event details are redacted', (t) => {
+  const { logFile, auditLogger } = createLog(t);
+  
+  auditLogger.logEvent('TEST', { secretAccessKey: 'abc', password: 'hunter2', name: 'db' });
+  
+  const [entry] = readEntries(logFile);
+  assert.deepEqual(entry.details, { secretAccessKey: '[REDACTED]', password: '[REDACTED]', name: 'db' });
+});
+// Write a chained log of four events, returning its lines
+const writeChain = (t, options = {}) => {
+  const log = createLog(t, options);
+  [1, 2, 3, 4].forEach(n => log.auditLogger.logEvent('TEST', { n }));
+  
+  return { ...log, lines: fs.readFileSync(log.logFile, 'utf8').trim().split('\n') };
+};
+
+const rewriteLog = (logFile, lines) => fs.writeFileSync(logFile, `${lines.join('\n')}\n`);
+
+// A key file of its own, readable by its owner only
+const createHmacKey = (t, key = 'audit-secret') => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const keyFile = path.join(root, 'audit-hmac.key');
+  fs.writeFileSync(keyFile, key, { mode: 0o600 });
+  return keyFile;
+};
+
+test('an untouched chain verifies', (t) => {
+  const { logFile } = writeChain(t);
+  
+  const report = AuditLogger.verifyChain({ logFile });
+  assert.equal(report.valid, true);
+  assert.equal(report.entries, 4);
+  assert.equal(report.firstSequence, 1);
+});
+
+test('a modified entry fails verification at its line', (t) => {
+  const { logFile, lines } = writeChain(t);
+  lines[1] = lines[1].replace('"n":2', '"n":5');
+  rewriteLog(logFile, lines);
+  
+  assert.deepEqual(AuditLogger.verifyChain({ logFile }).error, { file: logFile, line: 2, reason: 'entry was modified (hash mismatch)' });
+});
+
+test('reordered entries fail verification', (t) => {
+  const { logFile, lines } = writeChain(t);
+  rewriteLog(logFile, [lines[0], lines[2], lines[1], lines[3]]);
+  
+  assert.deepEqual(AuditLogger.verifyChain({ logFile }).error, {
+    file: logFile,
+    line: 2,
+    reason: 'events out of order: expected sequence 2, found 3'
+  });
+});
+
+test('a removed entry fails verification', (t) => {
+  const { logFile, lines } = writeChain(t);
+  rewriteLog(logFile, [lines[0], lines[2], lines[3]]);
+  
+  assert.deepEqual(AuditLogger.verifyChain({ logFile }).error, {
+    file: logFile,
+    line: 2,
+    reason: 'events out of order: expected sequence 2, found 3'
+  });
+});
+
+test('a truncated entry fails verification', (t) => {
+  const { logFile, lines } = writeChain(t);
+  rewriteLog(logFile, [...lines.slice(0, 3), lines[3].slice(0, 40)]);
+  
+  assert.deepEqual(AuditLogger.verifyChain({ logFile }).error, { file: logFile, line: 4, reason: 'entry is not valid JSON' });
+});
+
+test('an entry rewritten with a valid hash fails the HMAC check', (t) => {
+  const keyFile = createHmacKey(t);
+  const { logFile, lines } = writeChain(t, { hmacKeyFile: keyFile });
+  assert.equal(AuditLogger.verifyChain({ logFile, hmacKeyFile: keyFile }).valid, true);
+  
+  // Without the key, the hash of the last entry can be recomputed over new details
+  const { hash, hmac, ...event } = JSON.parse(lines[3]);
+  const forged = { ...event, details: { n: 5 } };
+  forged.hash = crypto.createHash('sha256').update(JSON.stringify(forged)).digest('hex');
+  rewriteLog(logFile, [...lines.slice(0, 3), JSON.stringify({ ...forged, hmac })]);
+  
+  assert.equal(AuditLogger.verifyChain({ logFile }).valid, true);
+  assert.deepEqual(AuditLogger.verifyChain({ logFile, hmacKeyFile: keyFile }).error, { file: logFile, line: 4, reason: 'HMAC mismatch' });
+});
+
+test('entries are checked against the HMAC key verification is given', (t) => {
+  const { logFile } = writeChain(t, { hmacKeyFile: createHmacKey(t) });
+  const { logFile: unsignedLogFile } = writeChain(t);
+  const otherKeyFile = createHmacKey(t, 'other-secret');
+  
+  assert.deepEqual(AuditLogger.verifyChain({ logFile, hmacKeyFile: otherKeyFile }).error, { file: logFile, line: 1, reason: 'HMAC mismatch' });
+  assert.deepEqual(AuditLogger.verifyChain({ logFile: unsignedLogFile, hmacKeyFile: otherKeyFile }).error, {
+    file: unsignedLogFile,
+    line: 1,
+    reason: 'entry has no HMAC'
+  });
+});
+
+// Run audit verify on a configuration whose audit log is logFile
+const runAuditVerify = (t, logFile) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const configPath = path.join(root, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    project: { name: 'test' },
+    destinations: [{ name: 'nas', type: 'local', path: path.join(root, 'nas') }],
+    directories: [{ name: 'files', path: root }],
+    audit: { logFile }
+  }), { mode: 0o600 });
+  
+  return new Promise((resolve) => {
+    execFile(process.execPath, [CLI, 'audit', 'verify', '-c', configPath], (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+};
+
+test('audit verify exits non-zero when the chain is broken', async (t) => {
+  const { logFile, lines } = writeChain(t);
+  
+  const intact = await runAuditVerify(t, logFile);
+  assert.equal(intact.code, 0);
+  assert.match(intact.stdout, /4 chained entries/);
+  
+  rewriteLog(logFile, [lines[0], lines[2], lines[1], lines[3]]);
+  const broken = await runAuditVerify(t, logFile);
+  assert.equal(broken.code, 1);
+  assert.match(broken.stderr, /events out of order/);
+});
\ No newline at end of file
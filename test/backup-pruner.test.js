@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BackupPruner = require('../src/backup-pruner');
+const LocalStorage = require('../src/local-storage');
+const { createLogger } = require('../src/logger');
+
+const logger = createLogger({ silent: true });
+const NO_RETENTION = { daily: 0, weekly: 0, monthly: 0 };
+
+const createStorage = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  return new LocalStorage({ name: 'nas', path: root }, 'web', logger);
+};
+
+// Store a run: an archive of each target and a manifest. Targets are named, or given as
+// { name, mode, base } as in a manifest.
+const storeRun = async (storage, timestamp, targets = ['files']) => {
+  const manifestTargets = targets.map(target => (typeof target === 'string' ? { name: target, mode: 'full' } : target));
+  
+  for (const target of manifestTargets) {
+    await storage.put(storage.backupKey(target.name, `${target.name}_${timestamp}.tar.gz`), Buffer.from(timestamp));
+  }
+  await storage.uploadManifest({ timestamp, targets: manifestTargets });
+};
+
+const storeRuns = async (storage, timestamps) => {
+  for (const timestamp of timestamps) {
+    await storeRun(storage, timestamp);
+  }
+};
+
+const prune = async (storage, retention) => {
+  await new BackupPruner(storage, logger).prune({ ...NO_RETENTION, ...retention });
+  return (await storage.listRuns()).map(run => run.timestamp);
+};
+
+test('daily keeps the newest run of each of the most recent days', async (t) => {
+  const storage = createStorage(t);
+  await storeRuns(storage, [
+    '2026-03-01_08-00-00',
+    '2026-03-02_08-00-00',
+    '2026-03-03_08-00-00',
+    '2026-03-04_08-00-00',
+    '2026-03-05_08-00-00',
+    '2026-03-05_20-00-00'
+  ]);
+  
+  assert.deepEqual(await prune(storage, { daily: 3 }), [
+    '2026-03-05_20-00-00',
+    '2026-03-04_08-00-00',
+    '2026-03-03_08-00-00'
+  ]);
+});
+
+test('weekly keeps the newest run of each ISO week', async (t) => {
+  const storage = createStorage(t);
+  // Sunday of 2026-W01, Monday and Sunday of W02, Monday of W03
+  await storeRuns(storage, ['2026-01-04_12-00-00', '2026-01-05_12-00-00', '2026-01-11_12-00-00', '2026-01-12_12-00-00']);
+  
+  assert.deepEqual(await prune(storage, { weekly: 2 }), ['2026-01-12_12-00-00', '2026-01-11_12-00-00']);
+});
+
+test('monthly keeps the newest run of each month', async (t) => {
+  const storage = createStorage(t);
+  await storeRuns(storage, ['2026-01-31_12-00-00', '2026-02-01_12-00-00', '2026-02-15_12-00-00', '2026-03-10_12-00-00']);
+  
+  assert.deepEqual(await prune(storage, { monthly: 2 }), ['2026-03-10_12-00-00', '2026-02-15_12-00-00']);
+});
+
+test('rules add up, and a run kept by any of them is kept', async (t) => {
+  const storage = createStorage(t);
+  await storeRuns(storage, ['2026-01-15_12-00-00', '2026-02-20_12-00-00', '2026-03-09_12-00-00', '2026-03-10_12-00-00']);
+  
+  assert.deepEqual(await prune(storage, { daily: 1, monthly: 3 }), [
+    '2026-03-10_12-00-00',
+    '2026-02-20_12-00-00',
+    '2026-01-15_12-00-00'
+  ]);
+});
+
+test('the newest run is kept whatever the policy', async (t) => {
+  const storage = createStorage(t);
+  await storeRuns(storage, ['2026-03-01_12-00-00', '2026-03-02_12-00-00']);
+  
+  assert.deepEqual(await prune(storage, NO_RETENTION), ['2026-03-02_12-00-00']);
+});
+
+test('a run is pruned whole, with every target and its manifest', async (t) => {
+  const storage = createStorage(t);
+  await storeRun(storage, '2026-03-01_12-00-00', ['files', 'db']);
+  await storeRun(storage, '2026-03-02_12-00-00', ['files', 'db']);
+  
+  const pruner = new BackupPruner(storage, logger);
+  const [kept, removed] = await pruner.plan(NO_RETENTION);
+  assert.equal(kept.keep, true);
+  assert.equal(removed.keep, false);
+  assert.deepEqual(removed.objects.sort(), [
+    'web/db/db_2026-03-01_12-00-00.tar.gz',
+    'web/files/files_2026-03-01_12-00-00.tar.gz',
+    'web/manifests/manifest_2026-03-01_12-00-00.json'
+  ]);
+  
+  const result = await pruner.prune(NO_RETENTION);
+  assert.equal(result.deletedCount, 3);
+  assert.deepEqual((await storage.list('web/')).map(object => object.Key).sort(), [
+    'web/db/db_2026-03-02_12-00-00.tar.gz',
+    'web/files/files_2026-03-02_12-00-00.tar.gz',
+    'web/manifests/manifest_2026-03-02_12-00-00.json'
+  ]);
+});
+
+test('rules apply to each target, so a target backed up less often keeps its runs', async (t) => {
+  const storage = createStorage(t);
+  await storeRun(storage, '2026-03-01_12-00-00', ['files', 'db']);
+  await storeRun(storage, '2026-03-02_12-00-00', ['files']);
+  await storeRun(storage, '2026-03-03_12-00-00', ['files']);
+  
+  assert.deepEqual(await prune(storage, { daily: 1 }), ['2026-03-03_12-00-00', '2026-03-01_12-00-00']);
+});
+
+test('a kept incremental run keeps every run of its chain back to the full backup', async (t) => {
+  const storage = createStorage(t);
+  const base = '2026-03-02_12-00-00';
+  await storeRun(storage, '2026-03-01_12-00-00', [{ name: 'files', mode: 'full', base: '2026-03-01_12-00-00' }]);
+  await storeRun(storage, base, [{ name: 'files', mode: 'full', base }]);
+  await storeRun(storage, '2026-03-03_12-00-00', [{ name: 'files', mode: 'incremental', base }]);
+  await storeRun(storage, '2026-03-04_12-00-00', [{ name: 'files', mode: 'incremental', base }]);
+  
+  const runs = await new BackupPruner(storage, logger).plan({ daily: 1 });
+  assert.deepEqual(runs.map(run => [run.timestamp, run.keep]), [
+    ['2026-03-04_12-00-00', true],
+    ['2026-03-03_12-00-00', true],
+    ['2026-03-02_12-00-00', true],
+    ['2026-03-01_12-00-00', false]
+  ]);
+  assert.deepEqual(runs[1].reasons, ['chain of files in 2026-03-04_12-00-00']);
+  
+  assert.deepEqual(await prune(storage, { daily: 1 }), ['2026-03-04_12-00-00', '2026-03-03_12-00-00', base]);
+});
\ No newline at end of file
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { resolveReferences } = require('../src/config');
+
+// Set environment variables for the duration of a test
+const setEnv = (t, variables) => {
+  Object.entries(variables).forEach(([name, value]) => {
+    process.env[name] = value;
+    t.after(() => delete process.env[name]);
+  });
+};
+
+// A directory of its own for secret files
+const createSecretsDir = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  return root;
+};
+
+test('${VAR} is replaced by the environment variable', (t) => {
+  setEnv(t, { BACKUP_TEST_BUCKET: 'backups', BACKUP_TEST_PASSWORD: 'hunter2' });
+  
+  const resolved = resolveReferences({
+    s3: { bucket: 'prefix-${BACKUP_TEST_BUCKET}' },
+    databases: [{ password: '${BACKUP_TEST_PASSWORD}' }]
+  });
+  
+  assert.deepEqual(resolved.value, { s3: { bucket: 'prefix-backups' }, databases: [{ password: 'hunter2' }] });
+  assert.deepEqual(resolved.references, [
+    { path: 's3.bucket', source: 'environment', name: 'BACKUP_TEST_BUCKET' },
+    { path: 'databases[0].password', source: 'environment', name: 'BACKUP_TEST_PASSWORD' }
+  ]);
+  // Only values of secret fields are masked in logs
+  assert.deepEqual(resolved.secrets, ['hunter2']);
+  assert.equal(resolved.literalSecrets, false);
+});
+
+test('${VAR:-default} falls back to the default when the variable is unset or empty', (t) => {
+  setEnv(t, { BACKUP_TEST_SET: 'eu-west-1', BACKUP_TEST_EMPTY: '' });
+  
+  const { value, references } = resolveReferences({
+    set: '${BACKUP_TEST_SET:-us-east-1}',
+    empty: '${BACKUP_TEST_EMPTY:-us-east-1}',
+    unset: '${BACKUP_TEST_UNSET:-us-east-1}',
+    blank: '${BACKUP_TEST_UNSET:-}'
+  });
+  
+  assert.deepEqual(value, { set: 'eu-west-1', empty: 'us-east-1', unset: 'us-east-1', blank: '' });
+  assert.deepEqual(references.map(reference => reference.defaulted || false), [false, true, true, true]);
+});
+
+test('$${ stands for a literal ${', () => {
+  assert.deepEqual(resolveReferences({ command: 'echo $${HOME}' }).value, { command: 'echo ${HOME}' });
+});
+
+test('file: is replaced by the contents of the file, which are secret', (t) => {
+  const secretsDir = createSecretsDir(t);
+  fs.writeFileSync(path.join(secretsDir, 'token'), 's3cret-token\n', { mode: 0o600 });
+  setEnv(t, { BACKUP_TEST_SECRETS: secretsDir });
+  
+  const resolved = resolveReferences({ notifications: { url: 'file:${BACKUP_TEST_SECRETS}/token' } });
+  
+  assert.deepEqual(resolved.value, { notifications: { url: 's3cret-token' } });
+  // The variable in the path is a reference too, but not a secret
+  assert.deepEqual(resolved.references.at(-1), { path: 'notifications.url', source: 'file', name: path.join(secretsDir, 'token') });
+  assert.deepEqual(resolved.secrets, ['s3cret-token']);
+});
+
+test('a literal value of a secret field is reported', () => {
+  assert.equal(resolveReferences({ s3: { secretAccessKey: 'plain', region: 'us-east-1' } }).literalSecrets, true);
+  assert.equal(resolveReferences({ s3: { secretAccessKey: '', region: 'us-east-1' } }).literalSecrets, false);
+});
+
+test('every unresolvable reference is reported at once', (t) => {
+  const secretsDir = createSecretsDir(t);
+  fs.writeFileSync(path.join(secretsDir, 'empty'), '\n', { mode: 0o600 });
+  
+  assert.throws(() => resolveReferences({
+    s3: { bucket: '${BACKUP_TEST_UNSET}' },
+    databases: [
+      { password: `file:${path.join(secretsDir, 'missing')}` },
+      { password: `file:${path.join(secretsDir, 'empty')}` },
+      { password: 'file:${BACKUP_TEST_UNSET}/password' }
+    ]
+  }), {
+    message: 'Configuration reference error: '
+      + 's3.bucket: environment variable BACKUP_TEST_UNSET is not set, '
+      + `databases[0].password: cannot read secret file ${path.join(secretsDir, 'missing')}: ENOENT, `
+      + `databases[1].password: secret file ${path.join(secretsDir, 'empty')} is empty, `
+      + 'databases[2].password: environment variable BACKUP_TEST_UNSET is not set'
+  });
+});
\ No newline at end of file
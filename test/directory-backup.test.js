@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const DirectoryBackup = require('../src/directory-backup');
+const { resolveCompression } = require('../src/compression');
+const { createLogger } = require('../src/logger');
+
+const logger = createLogger({ silent: true });
+// More files than the scan buffers and archiver queues at a time
+const MANY_FILES = 1500;
+
+// A directory of many small files, precompressed files, a symlink and an empty directory
+const createSource = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const sourceDir = path.join(root, 'source');
+  fs.mkdirSync(path.join(sourceDir, 'many'), { recursive: true });
+  fs.mkdirSync(path.join(sourceDir, 'empty'));
+  for (let n = 0; n < MANY_FILES; n++) {
+    fs.writeFileSync(path.join(sourceDir, 'many', `file-${n}.txt`), `content of file ${n}\n`);
+  }
+  fs.writeFileSync(path.join(sourceDir, 'photo.jpg'), crypto.randomBytes(4096));
+  fs.writeFileSync(path.join(sourceDir, 'bundle.zip'), crypto.randomBytes(4096));
+  fs.symlinkSync('photo.jpg', path.join(sourceDir, 'link'));
+  
+  return { root, sourceDir };
+};
+
+// Every entry under a directory, with the content of files and the target of symlinks
+const readTree = (directory) => Object.fromEntries(fs.readdirSync(directory, { recursive: true }).sort().map(entry => {
+  const entryPath = path.join(directory, entry);
+  const stats = fs.lstatSync(entryPath);
+  if (stats.isSymbolicLink()) {
+    return [entry, `-> ${fs.readlinkSync(entryPath)}`];
+  }
+  return [entry, stats.isDirectory() ? 'directory' : fs.readFileSync(entryPath, 'base64')];
+}));
+
+for (const algorithm of ['none', 'gzip', 'zstd']) {
+  test(`a full ${algorithm} backup archives every entry as the scan finds them`, async (t) => {
+    const { root, sourceDir } = createSource(t);
+    const directoryBackup = new DirectoryBackup(logger);
+    const compression = resolveCompression(algorithm);
+    
+    const backup = await directoryBackup.backupDirectory({ name: 'files', path: sourceDir, compression }, root, '2026-03-01_12-00-00');
+    assert.equal(path.basename(backup.path), `files_2026-03-01_12-00-00.tar${{ none: '', gzip: '.gz', zstd: '.zst' }[algorithm]}`);
+    
+    const restoreDir = path.join(root, 'restore');
+    fs.mkdirSync(restoreDir);
+    const restored = await directoryBackup.restoreDirectory(backup.path, restoreDir);
+    
+    assert.equal(restored.entries, MANY_FILES + 5);
+    assert.deepEqual(readTree(restoreDir), readTree(sourceDir));
+  });
+}
+
+test('a full backup leaves out excluded entries', async (t) => {
+  const { root, sourceDir } = createSource(t);
+  const directoryBackup = new DirectoryBackup(logger);
+  
+  const backup = await directoryBackup.backupDirectory({ name: 'files', path: sourceDir, exclude: ['many/**', '*.zip'] }, root, '2026-03-01_12-00-00');
+  
+  const restoreDir = path.join(root, 'restore');
+  fs.mkdirSync(restoreDir);
+  await directoryBackup.restoreDirectory(backup.path, restoreDir);
+  
+  assert.deepEqual(Object.keys(readTree(restoreDir)), ['empty', 'link', 'photo.jpg']);
+});
\ No newline at end of file
@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const ArchiveEncryption = require('../src/encryption');
+
+// Plaintext size of every chunk but the last
+const CHUNK_SIZE = 64 * 1024;
+
+// A key file of its own, readable by its owner only
+const createKeyFile = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const keyFile = path.join(root, 'archive.key');
+  fs.writeFileSync(keyFile, crypto.randomBytes(32), { mode: 0o600 });
+  return keyFile;
+};
+
+// Pass a buffer through a stream, collecting its output
+const transform = async (stream, input) => {
+  const chunks = [];
+  await pipeline(Readable.from([input]), stream, new Writable({
+    write: (chunk, encoding, callback) => {
+      chunks.push(chunk);
+      callback();
+    }
+  }));
+  return Buffer.concat(chunks);
+};
+
+const encrypt = async (encryption, plaintext) => transform((await encryption.createEncryptStream()).stream, plaintext);
+
+const decrypt = (encryption, ciphertext) => transform(encryption.createDecryptStream(), ciphertext);
+
+// Split an encrypted archive into its header and its chunk frames
+const splitFrames = (ciphertext) => {
+  const headerEnd = 11 + ciphertext.readUInt32BE(7);
+  const frames = [];
+  
+  for (let offset = headerEnd; offset < ciphertext.length;) {
+    const frameEnd = offset + 5 + ciphertext.readUInt32BE(offset) + 16;
+    frames.push(ciphertext.subarray(offset, frameEnd));
+    offset = frameEnd;
+  }
+  
+  return { header: ciphertext.subarray(0, headerEnd), frames };
+};
+
+test('archives round-trip through the chunked stream with a key file', async (t) => {
+  const encryption = new ArchiveEncryption({ enabled: true, keyFile: createKeyFile(t) });
+  
+  for (const size of [0, 100, CHUNK_SIZE, 3 * CHUNK_SIZE + 100]) {
+    const plaintext = crypto.randomBytes(size);
+    const ciphertext = await encrypt(encryption, plaintext);
+    
+    assert.equal(splitFrames(ciphertext).frames.length, Math.max(1, Math.ceil(size / CHUNK_SIZE)));
+    assert.deepEqual(await decrypt(encryption, ciphertext), plaintext);
+  }
+});
+
+test('archives round-trip with a passphrase', async () => {
+  const plaintext = crypto.randomBytes(CHUNK_SIZE + 100);
+  const ciphertext = await encrypt(new ArchiveEncryption({ enabled: true, passphrase: 'correct horse battery' }), plaintext);
+  
+  // A new instance derives the key again from the salt in the header
+  assert.deepEqual(await decrypt(new ArchiveEncryption({ passphrase: 'correct horse battery' }), ciphertext), plaintext);
+});
+
+test('a wrong key file or passphrase cannot decrypt an archive', async (t) => {
+  const plaintext = Buffer.from('archive');
+  const keyEncrypted = await encrypt(new ArchiveEncryption({ enabled: true, keyFile: createKeyFile(t) }), plaintext);
+  const passphraseEncrypted = await encrypt(new ArchiveEncryption({ enabled: true, passphrase: 'correct horse battery' }), plaintext);
+  const message = 'Cannot unwrap archive data key: wrong encryption key or passphrase';
+  
+  await assert.rejects(decrypt(new ArchiveEncryption({ keyFile: createKeyFile(t) }), keyEncrypted), { message });
+  await assert.rejects(decrypt(new ArchiveEncryption({ passphrase: 'wrong horse battery' }), passphraseEncrypted), { message });
+  await assert.rejects(decrypt(new ArchiveEncryption({ passphrase: 'correct horse battery' }), keyEncrypted), {
+    message: /^Archive was encrypted with key file [0-9a-f]{16}, but no encryption key file is configured$/
+  });
+});
+
+test('a truncated archive is rejected', async (t) => {
+  const encryption = new ArchiveEncryption({ enabled: true, keyFile: createKeyFile(t) });
+  const ciphertext = await encrypt(encryption, crypto.randomBytes(3 * CHUNK_SIZE + 100));
+  const { header, frames } = splitFrames(ciphertext);
+  
+  // Whole chunks missing from the end, or the last chunk cut short
+  await assert.rejects(decrypt(encryption, Buffer.concat([header, ...frames.slice(0, 2)])), { message: 'Encrypted archive is truncated' });
+  await assert.rejects(decrypt(encryption, ciphertext.subarray(0, ciphertext.length - 1)), { message: 'Encrypted archive is truncated' });
+});
+
+test('a tampered, reordered or extended archive is rejected', async (t) => {
+  const encryption = new ArchiveEncryption({ enabled: true, keyFile: createKeyFile(t) });
+  const ciphertext = await encrypt(encryption, crypto.randomBytes(3 * CHUNK_SIZE + 100));
+  const { header, frames } = splitFrames(ciphertext);
+  const failedAuthentication = { message: 'Encrypted archive failed authentication' };
+  
+  const tampered = Buffer.from(ciphertext);
+  tampered[header.length + 100] ^= 1;
+  await assert.rejects(decrypt(encryption, tampered), failedAuthentication);
+  
+  await assert.rejects(decrypt(encryption, Buffer.concat([header, frames[1], frames[0], ...frames.slice(2)])), failedAuthentication);
+  
+  // Marking the first chunk final would end the archive there
+  const finalFlagged = Buffer.from(ciphertext);
+  finalFlagged[header.length + 4] = 1;
+  await assert.rejects(decrypt(encryption, finalFlagged), failedAuthentication);
+  
+  await assert.rejects(decrypt(encryption, Buffer.concat([ciphertext, frames[0]])), {
+    message: 'Encrypted archive has data after its final chunk'
+  });
+});
\ No newline at end of file
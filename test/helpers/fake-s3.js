@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+const readBody = async (body) => {
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return Buffer.from(body);
+  }
+  
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+const s3Error = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+/**
+ * Stand-in for the S3 API behind an S3Client: one bucket, kept in a directory so that
+ * every process given the same directory sees the same objects and multipart uploads.
+ * Each request is recorded in requests as [command name, input]; onRequest(name, input)
+ * runs before a request is handled, and may throw to fail it.
+ */
+class FakeS3 {
+  constructor(directory, onRequest = () => {}) {
+    this.directory = directory;
+    this.onRequest = onRequest;
+    this.requests = [];
+    fs.mkdirSync(path.join(directory, 'bodies'), { recursive: true });
+  }
+
+  // Send the requests of an S3Client here instead
+  install(client) {
+    client.send = (command) => this.send(command.constructor.name.replace(/Command$/, ''), command.input);
+    return this;
+  }
+
+  get state() {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.directory, 'state.json'), 'utf8'));
+    } catch (error) {
+      return { objects: {}, uploads: {}, nextId: 1 };
+    }
+  }
+
+  save(state) {
+    fs.writeFileSync(path.join(this.directory, 'state.json'), JSON.stringify(state));
+  }
+
+  writeBody(state, body) {
+    const name = String(state.nextId++);
+    fs.writeFileSync(path.join(this.directory, 'bodies', name), body);
+    return name;
+  }
+
+  readBody(name) {
+    return fs.readFileSync(path.join(this.directory, 'bodies', name));
+  }
+
+  // Content of a stored object, or null
+  object(key) {
+    const object = this.state.objects[key];
+    return object ? { ...object, body: this.readBody(object.body) } : null;
+  }
+
+  // Requests made with one command, e.g. UploadPart
+  requestsOf(name) {
+    return this.requests.filter(([requestName]) => requestName === name).map(([, input]) => input);
+  }
+
+  async send(name, input) {
+    this.requests.push([name, input]);
+    await this.onRequest(name, input);
+    
+    // Bodies are read before the state, so concurrent requests do not overwrite each other's changes
+    const body = input.Body ? await readBody(input.Body) : null;
+    const state = this.state;
+    
+    switch (name) {
+      case 'PutObject': {
+        state.objects[input.Key] = { body: this.writeBody(state, body), metadata: input.Metadata || {}, lastModified: new Date() };
+        this.save(state);
+        return { ETag: '"object"' };
+      }
+      case 'HeadObject':
+      case 'GetObject': {
+        const object = state.objects[input.Key];
+        if (!object) {
+          throw s3Error(name === 'HeadObject' ? 'NotFound' : 'NoSuchKey', 404);
+        }
+        
+        let content = this.readBody(object.body);
+        if (name === 'HeadObject') {
+          return { Metadata: object.metadata, ContentLength: content.length, LastModified: new Date(object.lastModified) };
+        }
+        if (input.Range) {
+          const [start, end] = input.Range.replace('bytes=', '').split('-').map(Number);
+          content = content.subarray(start, end + 1);
+        }
+        return { Body: Readable.from([content]), Metadata: object.metadata, ContentLength: content.length };
+      }
+      case 'ListObjectsV2': {
+        const keys = Object.keys(state.objects).filter(key => key.startsWith(input.Prefix || '')).sort();
+        return {
+          Contents: keys.map(key => ({
+            Key: key,
+            Size: this.readBody(state.objects[key].body).length,
+            LastModified: new Date(state.objects[key].lastModified)
+          })),
+          IsTruncated: false
+        };
+      }
+      case 'DeleteObjects': {
+        input.Delete.Objects.forEach(({ Key }) => delete state.objects[Key]);
+        this.save(state);
+        return { Deleted: input.Delete.Objects };
+      }
+      case 'CreateMultipartUpload': {
+        const uploadId = `upload-${state.nextId++}`;
+        state.uploads[uploadId] = { key: input.Key, metadata: input.Metadata || {}, initiated: new Date(), parts: {} };
+        this.save(state);
+        return { UploadId: uploadId };
+      }
+      case 'UploadPart': {
+        const upload = state.uploads[input.UploadId];
+        if (!upload) {
+          throw s3Error('NoSuchUpload', 404);
+        }
+        
+        upload.parts[input.PartNumber] = this.writeBody(state, body);
+        this.save(state);
+        return { ETag: `"${upload.parts[input.PartNumber]}"` };
+      }
+      case 'ListParts': {
+        const upload = state.uploads[input.UploadId];
+        if (!upload) {
+          throw s3Error('NoSuchUpload', 404);
+        }
+        
+        return {
+          Parts: Object.entries(upload.parts).map(([number, part]) => ({ PartNumber: Number(number), ETag: `"${part}"` })),
+          IsTruncated: false
+        };
+      }
+      case 'CompleteMultipartUpload': {
+        const upload = state.uploads[input.UploadId];
+        if (!upload) {
+          throw s3Error('NoSuchUpload', 404);
+        }
+        
+        const content = Buffer.concat(input.MultipartUpload.Parts.map(part => this.readBody(upload.parts[part.PartNumber])));
+        state.objects[input.Key] = { body: this.writeBody(state, content), metadata: upload.metadata, lastModified: new Date() };
+        delete state.uploads[input.UploadId];
+        this.save(state);
+        return { Location: `https://fake-s3/${input.Key}` };
+      }
+      case 'AbortMultipartUpload': {
+        delete state.uploads[input.UploadId];
+        this.save(state);
+        return {};
+      }
+      case 'ListMultipartUploads': {
+        return {
+          Uploads: Object.entries(state.uploads)
+            .filter(([, upload]) => upload.key.startsWith(input.Prefix || ''))
+            .map(([uploadId, upload]) => ({ UploadId: uploadId, Key: upload.key, Initiated: new Date(upload.initiated) })),
+          IsTruncated: false
+        };
+      }
+      default:
+        throw new Error(`FakeS3 does not implement ${name}`);
+    }
+  }
+}
+
+module.exports = FakeS3;
\ No newline at end of file
@@ -0,0 +1,16 @@
+// Back up a project against a fake S3 bucket and die, as if killed, at the first request
+// of a command, or at the upload of one part:
+// node interrupted-backup.js <config> <bucket directory> <command> [part number]
+const BackupManager = require('../../src/index');
+const FakeS3 = require('./fake-s3');
+
+const [configPath, bucketDir, killAt, part] = process.argv.slice(2);
+
+const manager = new BackupManager(configPath, { logger: { silent: true } });
+manager.destinations.forEach(destination => new FakeS3(bucketDir, (name, input) => {
+  if (name === killAt && (!part || input.PartNumber === Number(part))) {
+    process.kill(process.pid, 'SIGKILL');
+  }
+}).install(destination.s3Client));
+
+manager.runBackup();
\ No newline at end of file
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const BackupManager = require('../src/index');
+
+const RUNS = ['2026-03-01_12-00-00', '2026-03-02_12-00-00', '2026-03-03_12-00-00'];
+
+// A project backing up one incremental directory to a local destination
+const createProject = (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  
+  const sourceDir = path.join(root, 'source');
+  fs.mkdirSync(path.join(sourceDir, 'sub'), { recursive: true });
+  
+  const configPath = path.join(root, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify({
+    project: { name: 'test' },
+    destinations: [{ name: 'nas', type: 'local', path: path.join(root, 'nas') }],
+    directories: [{ name: 'files', path: sourceDir, mode: 'incremental', fullEvery: 7 }],
+    backup: { stateDir: path.join(root, 'runs') },
+    audit: { enabled: false }
+  }), { mode: 0o600 });
+  
+  return { root, sourceDir, configPath };
+};
+
+const createManager = (project) => new BackupManager(project.configPath, { logger: { silent: true } });
+
+// Back up the directory as the run of a timestamp, given as YYYY-MM-DD_HH-MM-SS
+const backupAt = async (project, timestamp) => {
+  const [year, month, day, hours, minutes, seconds] = timestamp.split(/[-_]/).map(Number);
+  const manager = createManager(project);
+  manager.startTime = new Date(year, month - 1, day, hours, minutes, seconds);
+  
+  const result = await manager.runBackup();
+  assert.equal(result.success, true);
+};
+
+const writeSource = (project, file, content) => fs.writeFileSync(path.join(project.sourceDir, file), content);
+
+// Three runs: a full backup, then one changing, adding and deleting files, then one
+// changing a file again
+const backupChain = async (project) => {
+  writeSource(project, 'a.txt', 'a1');
+  writeSource(project, 'b.txt', 'b1');
+  writeSource(project, 'sub/c.txt', 'c1');
+  await backupAt(project, RUNS[0]);
+  
+  writeSource(project, 'b.txt', 'b2 changed');
+  writeSource(project, 'd.txt', 'd2');
+  fs.unlinkSync(path.join(project.sourceDir, 'sub/c.txt'));
+  await backupAt(project, RUNS[1]);
+  
+  writeSource(project, 'a.txt', 'a3 changed');
+  await backupAt(project, RUNS[2]);
+};
+
+const readTree = (directory) => Object.fromEntries(fs.readdirSync(directory, { recursive: true })
+  .filter(file => fs.statSync(path.join(directory, file)).isFile())
+  .sort()
+  .map(file => [file, fs.readFileSync(path.join(directory, file), 'utf8')]));
+
+const indexKey = (storage, timestamp) => storage.backupKey('files', `files_${timestamp}.index.json.gz`);
+
+test('each run archives only what changed, and its index refers to the archive holding each file', async (t) => {
+  const project = createProject(t);
+  await backupChain(project);
+  const storage = createManager(project).getDestination();
+  
+  const second = await storage.getIndex(indexKey(storage, RUNS[1]));
+  assert.equal(second.mode, 'incremental');
+  assert.equal(second.base, RUNS[0]);
+  assert.equal(second.previous, RUNS[0]);
+  assert.deepEqual(second.deleted, ['sub/c.txt']);
+  
+  const third = await storage.getIndex(indexKey(storage, RUNS[2]));
+  assert.equal(third.chainLength, 3);
+  assert.deepEqual(
+    Object.fromEntries(third.entries.filter(entry => entry.type === 'file').map(entry => [entry.path, entry.archive])),
+    { 'a.txt': RUNS[2], 'b.txt': RUNS[1], 'd.txt': RUNS[1] }
+  );
+  
+  const [manifest] = await storage.listManifests();
+  const [target] = (await storage.getManifest(manifest.Key)).targets;
+  assert.equal(target.indexS3Key, indexKey(storage, RUNS[2]));
+  assert.equal(target.indexSize, fs.statSync(storage.resolveKey(target.indexS3Key)).size);
+  assert.match(target.indexSha256, /^[0-9a-f]{64}$/);
+});
+
+test('restore rebuilds the directory as it was at the selected run from the archives of its chain', async (t) => {
+  const project = createProject(t);
+  await backupChain(project);
+  
+  const restoreAt = async (timestamp) => {
+    const destination = fs.mkdtempSync(path.join(project.root, 'restore-'));
+    const result = await createManager(project).runRestore({ target: 'files', timestamp, destination });
+    return { archives: result.archives, files: readTree(destination) };
+  };
+  
+  assert.deepEqual(await restoreAt(RUNS[2]), {
+    archives: 3,
+    files: { 'a.txt': 'a3 changed', 'b.txt': 'b2 changed', 'd.txt': 'd2' }
+  });
+  assert.deepEqual(await restoreAt(RUNS[1]), {
+    archives: 2,
+    files: { 'a.txt': 'a1', 'b.txt': 'b2 changed', 'd.txt': 'd2' }
+  });
+  assert.deepEqual(await restoreAt(RUNS[0]), {
+    archives: 1,
+    files: { 'a.txt': 'a1', 'b.txt': 'b1', [path.join('sub', 'c.txt')]: 'c1' }
+  });
+});
+
+test('verify checks the index of a run against its manifest', async (t) => {
+  const project = createProject(t);
+  await backupChain(project);
+  const manager = createManager(project);
+  const storage = manager.getDestination();
+  
+  const report = await manager.runVerify({ timestamp: RUNS[2] });
+  assert.equal(report.passed, true);
+  assert.ok(report.runs[0].targets[0].checks.includes('index checksum matches'));
+  
+  // A valid index, but not the one the run uploaded
+  const indexPath = storage.resolveKey(indexKey(storage, RUNS[2]));
+  const index = JSON.parse(zlib.gunzipSync(fs.readFileSync(indexPath)));
+  fs.writeFileSync(indexPath, zlib.gzipSync(JSON.stringify({ ...index, entries: index.entries.slice(1) })));
+  
+  const [target] = (await manager.runVerify({ timestamp: RUNS[2] })).runs[0].targets;
+  assert.equal(target.passed, false);
+  assert.ok(target.errors.some(error => error.startsWith('index checksum mismatch')));
+});
+
+test('verify fails a run whose chain is missing an archive', async (t) => {
+  const project = createProject(t);
+  await backupChain(project);
+  const manager = createManager(project);
+  const storage = manager.getDestination();
+  
+  await storage.delete([storage.backupKey('files', `files_${RUNS[1]}.tar.gz`)]);
+  
+  const [target] = (await manager.runVerify({ timestamp: RUNS[2] })).runs[0].targets;
+  assert.equal(target.passed, false);
+  assert.deepEqual(target.errors, [`backup chain is broken: No backup found for files at ${RUNS[1]} on nas`]);
+});
\ No newline at end of file
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const BackupManager = require('../src/index');
+const FakeS3 = require('./helpers/fake-s3');
+
+const PART_SIZE = 5 * 1024 * 1024;
+
+// A project backing up one directory that archives to three parts, into a fake S3 bucket
+const createProject = (options = {}) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-to-s3-test-'));
+  const sourceDir = path.join(root, 'source');
+  fs.mkdirSync(sourceDir);
+  fs.writeFileSync(path.join(sourceDir, 'data.bin'), crypto.randomBytes(2 * PART_SIZE + 1024 * 1024));
+  fs.writeFileSync(path.join(root, 'archive.key'), crypto.randomBytes(32), { mode: 0o600 });
+  
+  const config = {
+    project: { name: 'test' },
+    s3: {
+      region: 'us-east-1',
+      bucket: 'backups',
+      accessKeyId: 'test',
+      secretAccessKey: 'test',
+      endpoint: 'http://127.0.0.1:9',
+      partSize: PART_SIZE,
+      queueSize: 1,
+      retry: { attempts: 3, baseDelay: 0, maxDelay: 0 },
+      uploadStateDir: path.join(root, 'uploads')
+    },
+    directories: [{ name: 'files', path: sourceDir }],
+    backup: { stateDir: path.join(root, 'runs') },
+    audit: { enabled: false },
+    ...(options.encrypted && { encryption: { enabled: true, keyFile: path.join(root, 'archive.key') } })
+  };
+  const configPath = path.join(root, 'config.json');
+  fs.writeFileSync(configPath, JSON.stringify(config), { mode: 0o600 });
+  
+  return {
+    root,
+    configPath,
+    bucketDir: path.join(root, 'bucket'),
+    runsDir: path.join(root, 'runs', 'test'),
+    remove: () => fs.rmSync(root, { recursive: true, force: true })
+  };
+};
+
+const createManager = (project, onRequest) => {
+  const manager = new BackupManager(project.configPath, { logger: { silent: true } });
+  const s3 = new FakeS3(project.bucketDir, onRequest).install(manager.destinations[0].s3Client);
+  return { manager, s3 };
+};
+
+// Run a backup in another process that is killed at its first request of a command,
+// by default the upload of the third and last part
+const runInterrupted = (project, ...killAt) => new Promise((resolve) => {
+  const script = path.join(__dirname, 'helpers', 'interrupted-backup.js');
+  const args = killAt.length > 0 ? killAt : ['UploadPart', '3'];
+  execFile(process.execPath, [script, project.configPath, project.bucketDir, ...args], (error) => resolve(error));
+});
+
+// Timestamp of the run a killed process left behind, which names its directory
+const interruptedTimestamp = (project) => {
+  const [runDir] = fs.readdirSync(project.runsDir);
+  return runDir.slice(0, runDir.lastIndexOf('-'));
+};
+
+// Change the journal of the run left behind
+const editJournal = (project, edit) => {
+  const [runDir] = fs.readdirSync(project.runsDir);
+  const journalPath = path.join(project.runsDir, runDir, 'journal.json');
+  fs.writeFileSync(journalPath, JSON.stringify(edit(JSON.parse(fs.readFileSync(journalPath, 'utf8')))));
+};
+
+const accessDenied = () => Object.assign(new Error('Access Denied'), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } });
+
+for (const encrypted of [false, true]) {
+  test(`an interrupted run is resumed by the next one${encrypted ? ' with encryption' : ''}`, async (t) => {
+    const project = createProject({ encrypted });
+    t.after(project.remove);
+    
+    const error = await runInterrupted(project);
+    assert.equal(error.signal, 'SIGKILL');
+    
+    const timestamp = interruptedTimestamp(project);
+    const { manager, s3 } = createManager(project);
+    const result = await manager.runBackup();
+    
+    assert.equal(result.status, 'success');
+    assert.match(result.uploads[0].s3Key, new RegExp(`_${timestamp}\\.`));
+    assert.ok(s3.object(`test/manifests/manifest_${timestamp}.json`));
+    // Only the part the killed run never uploaded was sent, to the upload it started
+    assert.equal(s3.requestsOf('CreateMultipartUpload').length, 0);
+    assert.deepEqual(s3.requestsOf('UploadPart').map(input => input.PartNumber), [3]);
+    assert.deepEqual(fs.readdirSync(project.runsDir), []);
+    
+    const report = await manager.runVerify();
+    assert.equal(report.passed, true);
+  });
+}
+
+test('an archive the interrupted run already stored is not uploaded again', async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  
+  // Killed when the manifest is due, after the archive is stored
+  const error = await runInterrupted(project, 'PutObject');
+  assert.equal(error.signal, 'SIGKILL');
+  
+  const timestamp = interruptedTimestamp(project);
+  const { manager, s3 } = createManager(project);
+  const result = await manager.runBackup();
+  
+  assert.equal(result.status, 'success');
+  assert.equal(s3.requestsOf('CreateMultipartUpload').length, 0);
+  assert.equal(s3.requestsOf('UploadPart').length, 0);
+  assert.deepEqual(s3.requestsOf('PutObject').map(input => input.Key), [`test/manifests/manifest_${timestamp}.json`]);
+});
+
+test('a run whose upload failed is resumed by the next one', async (t) => {
+  const project = createProject({ encrypted: true });
+  t.after(project.remove);
+  
+  const failed = createManager(project, (name, input) => {
+    if (name === 'UploadPart' && input.PartNumber === 3) {
+      throw accessDenied();
+    }
+  });
+  assert.equal((await failed.manager.runBackup()).status, 'failed');
+  
+  // The archive and its encrypted copy stay for the next run
+  const [runDir] = fs.readdirSync(project.runsDir);
+  assert.equal(fs.readdirSync(path.join(project.runsDir, runDir)).filter(name => name.endsWith('.enc')).length, 1);
+  
+  const { manager, s3 } = createManager(project);
+  const result = await manager.runBackup();
+  
+  assert.equal(result.status, 'success');
+  assert.match(result.uploads[0].s3Key, new RegExp(`_${runDir.slice(0, runDir.lastIndexOf('-'))}\\.`));
+  assert.equal(s3.requestsOf('CreateMultipartUpload').length, 0);
+  assert.deepEqual(s3.requestsOf('UploadPart').map(input => input.PartNumber), [3]);
+  assert.deepEqual(fs.readdirSync(project.runsDir), []);
+  assert.equal((await manager.runVerify()).passed, true);
+});
+
+test('a run that started longer ago than resumeWithin is discarded', async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  
+  await runInterrupted(project);
+  editJournal(project, journal => ({ ...journal, startedAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() }));
+  
+  const { manager, s3 } = createManager(project);
+  const result = await manager.runBackup();
+  
+  assert.equal(result.status, 'success');
+  assert.equal(s3.requestsOf('CreateMultipartUpload').length, 1);
+  assert.deepEqual(s3.requestsOf('UploadPart').map(input => input.PartNumber), [1, 2, 3]);
+  assert.deepEqual(fs.readdirSync(project.runsDir), []);
+});
+
+test('a run whose PID now belongs to another process is resumed', async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  
+  await runInterrupted(project);
+  const timestamp = interruptedTimestamp(project);
+  // This process is alive, but is not the one that started the run
+  editJournal(project, journal => ({ ...journal, pid: process.pid }));
+  
+  const { manager } = createManager(project);
+  const result = await manager.runBackup();
+  
+  assert.equal(result.status, 'success');
+  assert.match(result.uploads[0].s3Key, new RegExp(`_${timestamp}\\.`));
+});
+
+test('a failed part is retried on its own', async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  
+  let failures = 0;
+  const { manager, s3 } = createManager(project, (name, input) => {
+    if (name === 'UploadPart' && input.PartNumber === 2 && failures++ === 0) {
+      throw Object.assign(new Error('Service Unavailable'), { name: 'ServiceUnavailable', $metadata: { httpStatusCode: 503 } });
+    }
+  });
+  const result = await manager.runBackup();
+  
+  assert.equal(result.status, 'success');
+  assert.deepEqual(s3.requestsOf('UploadPart').map(input => input.PartNumber), [1, 2, 2, 3]);
+  assert.equal(s3.requestsOf('CreateMultipartUpload').length, 1);
+});
+
+test('the S3 client leaves retries to withRetry', async (t) => {
+  const project = createProject();
+  t.after(project.remove);
+  
+  const { manager } = createManager(project);
+  
+  assert.equal(await manager.destinations[0].s3Client.config.maxAttempts(), 1);
+});
\ No newline at end of file
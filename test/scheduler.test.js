@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BackupScheduler = require('../src/scheduler');
+const { createLogger } = require('../src/logger');
+
+const logger = createLogger({ silent: true });
+
+const backupConfig = {
+  schedule: '0 2 * * *',
+  timezone: 'Europe/Berlin',
+  schedules: [
+    { name: 'hourly-db', cron: '0 8-20 * * 1-5', targets: ['mysql-db', 'postgres-db'] },
+    { name: 'uploads', cron: '30 */6 * * *', timezone: 'UTC', targets: ['user-uploads'] }
+  ]
+};
+
+const config = {
+  backup: backupConfig,
+  directories: [{ name: 'user-uploads' }],
+  databases: [{ name: 'mysql-db' }, { name: 'postgres-db' }]
+};
+
+test('schedules are backup.schedule and backup.schedules, in backup.timezone unless they set their own', () => {
+  assert.deepEqual(BackupScheduler.resolveSchedules(backupConfig), [
+    { name: 'default', cron: '0 2 * * *', timezone: 'Europe/Berlin' },
+    { name: 'hourly-db', cron: '0 8-20 * * 1-5', timezone: 'Europe/Berlin', targets: ['mysql-db', 'postgres-db'] },
+    { name: 'uploads', cron: '30 */6 * * *', timezone: 'UTC', targets: ['user-uploads'] }
+  ]);
+});
+
+test('limited to some targets, schedules back up only those and schedules of others are left out', () => {
+  assert.deepEqual(BackupScheduler.resolveSchedules(backupConfig, ['mysql-db']).map(({ name, targets }) => ({ name, targets })), [
+    { name: 'default', targets: ['mysql-db'] },
+    { name: 'hourly-db', targets: ['mysql-db'] }
+  ]);
+});
+
+test('a scheduler does not start with targets the configuration lacks, or that no schedule backs up', () => {
+  assert.throws(() => new BackupScheduler('config.json', config, logger, { targets: ['mysql-db', 'redis'] }).start(), {
+    message: 'Unknown backup target(s): redis'
+  });
+  
+  const scheduled = { ...config, backup: { schedules: [backupConfig.schedules[1]] } };
+  assert.throws(() => new BackupScheduler('config.json', scheduled, logger, { targets: ['mysql-db'] }).start(), {
+    message: 'No schedules back up mysql-db'
+  });
+});
\ No newline at end of file
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { execCommandWithTimeout } = require('../src/utils');
+
+test('a command gets its input and resolves with its output', async () => {
+  const { output } = await execCommandWithTimeout('cat', [], { timeout: 5000, input: 'hello\n' });
+  
+  assert.equal(output, 'hello');
+});
+
+test('a command that fails rejects with its exit code and output', async () => {
+  await assert.rejects(
+    execCommandWithTimeout('sh', ['-c', 'echo broken >&2; exit 3'], { timeout: 5000 }),
+    { message: 'exited with code 3: broken' }
+  );
+});
+
+test('a missing command is reported as not found', async () => {
+  await assert.rejects(
+    execCommandWithTimeout('backup-to-s3-no-such-command', [], { timeout: 5000 }),
+    { message: 'backup-to-s3-no-such-command not found' }
+  );
+});
+
+test('a command that outlives its timeout is killed', async () => {
+  const startTime = Date.now();
+  
+  await assert.rejects(
+    execCommandWithTimeout('sleep', ['10'], { timeout: 200 }),
+    { message: 'timed out after 200 ms' }
+  );
+  assert.ok(Date.now() - startTime < 5000);
+});
\ No newline at end of file